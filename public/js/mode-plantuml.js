@@ -0,0 +1,324 @@
+ace.define("ace/mode/plantuml_highlight_rules", ["require", "exports", "module", "ace/lib/oop", "ace/mode/text_highlight_rules"], function(require, exports, module) {
+  "use strict";
+
+  var oop = require("../lib/oop");
+  var TextHighlightRules = require("./text_highlight_rules").TextHighlightRules;
+
+  var PlantumlHighlightRules = function() {
+    var keywordMapper = this.createKeywordMapper({
+      // Element declarations
+      "storage.type":
+        "participant|actor|boundary|control|entity|database|collections|queue|" +
+        "class|interface|abstract|enum|annotation|struct|protocol|exception|metaclass|stereotype|" +
+        "state|usecase|component|node|package|namespace|folder|frame|cloud|rectangle|" +
+        "artifact|card|file|storage|object|map|json|agent|stack|hexagon|person|label|port|portin|portout|" +
+        "circle|diamond|action|process",
+      // Structure and flow control
+      "keyword":
+        "as|of|on|over|is|left|right|top|bottom|up|down|" +
+        "note|end|ref|alt|else|opt|loop|par|break|critical|group|box|" +
+        "activate|deactivate|destroy|create|return|autonumber|autoactivate|" +
+        "title|header|footer|legend|caption|newpage|hide|show|remove|skinparam|" +
+        "start|stop|if|then|elseif|endif|while|endwhile|repeat|backward|fork|again|merge|" +
+        "detach|partition|split|kill|extends|implements|together|allowmixing|" +
+        "mainframe|direction|scale|rotate|sprite|endnote|endlegend|endbox|endfork|endsplit|endmerge",
+      "constant.language": "true|false|null"
+    }, "identifier", true);
+
+    var arrowLine = "(?:-+|\\.+|=+|~+)";
+    var arrowHint = "(?:\\[[^\\]]*\\]|left|right|up|down|le?|ri?|u|do?)";
+    var arrowHead = "(?:\\|?>>?|[*o{x#+]|\\\\\\\\|\\/\\/)";
+
+    this.$rules = {
+      "start": [
+        {
+          token: "keyword.control",
+          regex: "^\\s*@(?:start|end)\\w+\\b"
+        },
+        {
+          token: "comment",
+          regex: "^\\s*'.*$"
+        },
+        {
+          token: "comment",
+          regex: "\\/'",
+          next: "block_comment"
+        },
+        {
+          token: ["keyword.control", "text", "string.other.link"],
+          regex: "^(\\s*!(?:include\\w*|import|theme))(\\s+)(.*)$"
+        },
+        {
+          token: "keyword.control",
+          regex: "^\\s*!\\w+"
+        },
+        {
+          token: ["keyword", "text", "variable.parameter"],
+          regex: "\\b(skinparam)(\\s+)([\\w.]+(?:<<[^>]*>>)?)",
+          caseInsensitive: true
+        },
+        {
+          token: "string",
+          regex: "\"(?:[^\"\\\\]|\\\\.)*\"?"
+        },
+        {
+          // Single-line activity: ":action;"
+          token: ["text", "punctuation.operator", "string.unquoted", "punctuation.operator"],
+          regex: "^(\\s*)(:)(.*?)([;|<>\\]}\\/])\\s*$"
+        },
+        {
+          // Multi-line activity, continues until the terminator
+          token: ["text", "punctuation.operator", "string.unquoted"],
+          regex: "^(\\s*)(:)(.*)$",
+          next: "activity"
+        },
+        {
+          token: "storage.modifier",
+          regex: "<<[^<>]+>>"
+        },
+        {
+          token: "constant.language",
+          regex: "\\[\\*\\]"
+        },
+        {
+          token: "keyword.operator",
+          regex: "(?:<<|<\\|?|[*o}x#+])?" + arrowLine + "{2,}(?:" + arrowHint + arrowLine + "*)?" + arrowHead + "?"
+        },
+        {
+          token: "keyword.operator",
+          regex: "<\\|?" + arrowLine + "|" + arrowLine + "(?:" + arrowHint + arrowLine + "*)?" + arrowHead
+        },
+        {
+          // Message or description label after a colon
+          token: ["punctuation.operator", "string.unquoted"],
+          regex: "(:)(.*)$"
+        },
+        {
+          token: "constant.other",
+          regex: "#[0-9a-fA-F]{3,8}\\b|#\\w+"
+        },
+        {
+          token: "support.function",
+          regex: "%\\w+(?=\\()"
+        },
+        {
+          token: "variable",
+          regex: "\\$\\w+"
+        },
+        {
+          token: "constant.numeric",
+          regex: "\\b\\d+(?:\\.\\d+)?\\b"
+        },
+        {
+          token: keywordMapper,
+          regex: "[a-zA-Z_][\\w]*"
+        },
+        {
+          token: "paren.lparen",
+          regex: "[\\[({]"
+        },
+        {
+          token: "paren.rparen",
+          regex: "[\\])}]"
+        },
+        {
+          token: "text",
+          regex: "\\s+"
+        }
+      ],
+      "block_comment": [
+        {
+          token: "comment",
+          regex: "'\\/",
+          next: "start"
+        },
+        {
+          defaultToken: "comment"
+        }
+      ],
+      "activity": [
+        {
+          token: ["string.unquoted", "punctuation.operator"],
+          regex: "(.*?)([;|<>\\]}\\/])\\s*$",
+          next: "start"
+        },
+        {
+          defaultToken: "string.unquoted"
+        }
+      ]
+    };
+
+    this.normalizeRules();
+  };
+
+  oop.inherits(PlantumlHighlightRules, TextHighlightRules);
+
+  exports.PlantumlHighlightRules = PlantumlHighlightRules;
+});
+
+ace.define("ace/mode/folding/plantuml", ["require", "exports", "module", "ace/lib/oop", "ace/range", "ace/mode/folding/fold_mode"], function(require, exports, module) {
+  "use strict";
+
+  var oop = require("../../lib/oop");
+  var Range = require("../../range").Range;
+  var BaseFoldMode = require("./fold_mode").FoldMode;
+
+  // Keyword blocks, matched against the trimmed line. A "middle" line
+  // (else, fork again, ...) closes the previous branch and opens a new one.
+  var BLOCKS = [
+    { start: /^@start\w+/i, end: /^@end\w+/i },
+    { start: /^(?:alt|opt|loop|par|break|critical|group)\b/i, middle: /^else\b/i, end: /^end$/i },
+    { start: /^if\s*\(/i, middle: /^else(?:if)?\b/i, end: /^end\s*if\b/i },
+    { start: /^while\b/i, end: /^end\s*while\b/i },
+    { start: /^repeat\b(?!\s+while)/i, end: /^repeat\s+while\b/i },
+    { start: /^fork\b(?!\s+again)/i, middle: /^fork\s+again\b/i, end: /^end\s*(?:fork|merge)\b/i },
+    { start: /^split\b(?!\s+again)/i, middle: /^split\s+again\b/i, end: /^end\s*split\b/i },
+    { start: /^[rh]?note\b[^:]*$/i, end: /^end\s*[rh]?note\b/i },
+    { start: /^ref\b[^:]*$/i, end: /^end\s*ref\b/i },
+    { start: /^box\b/i, end: /^end\s*box\b/i },
+    { start: /^legend\b/i, end: /^end\s*legend\b/i },
+    { start: /^title$/i, end: /^end\s*title\b/i },
+    { start: /^!(?:unquoted\s+)?(?:procedure|function)\b/i, end: /^!end(?:procedure|function)\b/i },
+    { start: /^!if(?:n?def)?\b/i, middle: /^!else(?:if)?\b/i, end: /^!endif\b/i },
+    { start: /^!while\b/i, end: /^!endwhile\b/i },
+    { start: /^!foreach\b/i, end: /^!endfor\b/i }
+  ];
+
+  var FoldMode = exports.FoldMode = function() {};
+
+  oop.inherits(FoldMode, BaseFoldMode);
+
+  (function() {
+    this.foldingStartMarker = /\{\s*$/;
+    this.blockCommentStartMarker = /\/'(?!.*'\/)/;
+
+    this._findBlocks = function(line) {
+      var trimmed = line.trim();
+
+      return BLOCKS.filter(function(block) {
+        var opens = block.start.test(trimmed) || (block.middle && block.middle.test(trimmed));
+        // A line that both opens and closes ("if (x) then (y) endif") is not a block
+        return opens && !block.end.test(trimmed);
+      });
+    };
+
+    this.getFoldWidget = function(session, foldStyle, row) {
+      var line = session.getLine(row);
+
+      if (this.foldingStartMarker.test(line)) return "start";
+      if (this.blockCommentStartMarker.test(line)) return "start";
+      if (this._findBlocks(line).length) return "start";
+
+      return "";
+    };
+
+    this.getFoldWidgetRange = function(session, foldStyle, row) {
+      var line = session.getLine(row);
+      var match = line.match(this.foldingStartMarker);
+
+      if (match) {
+        return this.openingBracketBlock(session, "{", row, match.index);
+      }
+
+      if (this.blockCommentStartMarker.test(line)) {
+        return this._blockCommentRange(session, row);
+      }
+
+      var blocks = this._findBlocks(line);
+      var best;
+
+      // "else" is shared between group and if blocks, so keep the closest match
+      for (var i = 0; i < blocks.length; i++) {
+        var range = this._keywordBlockRange(session, row, blocks[i]);
+        if (range && (!best || range.end.row < best.end.row)) best = range;
+      }
+
+      return best;
+    };
+
+    this._blockCommentRange = function(session, row) {
+      var lastRow = session.getLength() - 1;
+
+      for (var endRow = row + 1; endRow <= lastRow; endRow++) {
+        if (session.getLine(endRow).indexOf("'/") !== -1) {
+          return this._rangeBetween(session, row, endRow);
+        }
+      }
+    };
+
+    this._keywordBlockRange = function(session, row, block) {
+      var lastRow = session.getLength() - 1;
+      var depth = 0;
+
+      for (var endRow = row + 1; endRow <= lastRow; endRow++) {
+        var trimmed = session.getLine(endRow).trim();
+
+        if (block.end.test(trimmed)) {
+          if (depth === 0) return this._rangeBetween(session, row, endRow);
+          depth--;
+        } else if (block.start.test(trimmed)) {
+          depth++;
+        } else if (depth === 0 && block.middle && block.middle.test(trimmed)) {
+          return this._rangeBetween(session, row, endRow);
+        }
+      }
+    };
+
+    // Folds everything between the opening and closing lines, keeping both visible
+    this._rangeBetween = function(session, startRow, endRow) {
+      if (endRow - startRow < 2) return;
+
+      return new Range(
+        startRow, session.getLine(startRow).length,
+        endRow - 1, session.getLine(endRow - 1).length
+      );
+    };
+  }).call(FoldMode.prototype);
+});
+
+ace.define("ace/mode/plantuml", ["require", "exports", "module", "ace/lib/oop", "ace/mode/text", "ace/mode/plantuml_highlight_rules", "ace/mode/behaviour/cstyle", "ace/mode/folding/plantuml"], function(require, exports, module) {
+  "use strict";
+
+  var oop = require("../lib/oop");
+  var TextMode = require("./text").Mode;
+  var PlantumlHighlightRules = require("./plantuml_highlight_rules").PlantumlHighlightRules;
+  var CstyleBehaviour = require("./behaviour/cstyle").CstyleBehaviour;
+  var PlantumlFoldMode = require("./folding/plantuml").FoldMode;
+
+  var Mode = function() {
+    this.HighlightRules = PlantumlHighlightRules;
+    this.$behaviour = new CstyleBehaviour();
+    this.foldingRules = new PlantumlFoldMode();
+  };
+
+  oop.inherits(Mode, TextMode);
+
+  (function() {
+    this.lineCommentStart = "'";
+    this.blockComment = { start: "/'", end: "'/" };
+    // ' starts a comment, so only double quotes are auto-paired
+    this.$quotes = { '"': '"' };
+
+    this.getNextLineIndent = function(state, line, tab) {
+      var indent = this.$getIndent(line);
+
+      if (state === "start" && (/\{\s*$/.test(line) || this.foldingRules._findBlocks(line).length) && !/^\s*@start/i.test(line)) {
+        indent += tab;
+      }
+
+      return indent;
+    };
+
+    this.$id = "ace/mode/plantuml";
+  }).call(Mode.prototype);
+
+  exports.Mode = Mode;
+});
+
+(function() {
+  ace.require(["ace/mode/plantuml"], function(m) {
+    if (typeof module == "object" && typeof exports == "object" && module) {
+      module.exports = m;
+    }
+  });
+})();
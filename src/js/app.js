@@ -10,7 +10,7 @@ ace.config.set("loadWorkerFromBlob", false)
 const editor = ace.edit("editor")
 
 editor.setTheme("ace/theme/monokai")
-editor.session.setMode("ace/mode/javascript")
+editor.session.setMode("ace/mode/plantuml")
 
 // Remap ACE Editor's find command from Ctrl+F to Ctrl+Shift+F
 // This allows Ctrl+F to trigger the browser's native find feature
@@ -22,34 +22,61 @@ editor.commands.addCommand({
   }
 });
 
-// Track if we loaded content from URL (to prevent overwriting with default)
-let loadedFromUrl = false
+// Diagram from a share link, opened once storage is initialized: { content, viewOnly }
+let sharedDiagram = null
 
 // Track current renderer state
 let currentRenderer = 'frontend' // 'frontend' or 'backend'
 
+// Track current output format
+let currentFormat = 'png' // 'png' or 'svg'
+
 // Track last saved content for change detection
 let lastSavedContent = ''
 
+// 'auto' writes edits into the tab's file as you type; 'manual' waits for Ctrl+S
+let currentSaveMode = 'auto'
+
+// Name of the diagram currently in the editor
+let currentDiagramName = null
+
 // Custom tab system for managing multiple diagrams
 const MAX_TABS = 15
-let tabs = [] // Array of tab objects: { id, fileId, name, isUnsaved }
+let tabs = [] // Array of tab objects: { id, fileId, name, isUnsaved, savedContent, fileHandle, session, lastRender }
 let activeTabId = null // ID of currently active tab
 
-// Load shared diagram from URL fragment (new format: #/${encoded})
+// Share links are #/d/<deflated>; older links are #/<base64>, which never contains '/'
+const SHARE_DEFLATE_PREFIX = 'd/'
+
+// Read-only viewer links are #/view/<encoded>
+const SHARE_VIEW_PREFIX = 'view/'
+
+// Read shared diagram from URL fragment (#/${encoded}, see decodePlantuml)
 const hash = window.location.hash
 if (hash && hash.startsWith('#/')) {
-  const encoded = hash.substring(2) // Remove '#/'
+  let encoded = hash.substring(2) // Remove '#/'
+  const viewOnly = encoded.startsWith(SHARE_VIEW_PREFIX)
+  if (viewOnly) {
+    encoded = encoded.substring(SHARE_VIEW_PREFIX.length)
+  }
+
   try {
     const decoded = decodePlantuml(encoded)
     if (decoded) {
-      editor.setValue(decoded, -1)
-      loadedFromUrl = true
+      sharedDiagram = { content: decoded, viewOnly: viewOnly }
     }
   } catch (error) {
     console.error('Failed to decode shared diagram:', error)
   }
 }
+
+// The viewer never touches storage; the editor only holds the diagram to render
+const isViewMode = Boolean(sharedDiagram && sharedDiagram.viewOnly)
+if (isViewMode) {
+  document.body.classList.add('view-mode')
+  editor.setValue(sharedDiagram.content, -1)
+  editor.setReadOnly(true)
+}
 editor.focus()
 
 /**
@@ -74,1671 +101,6043 @@ function encode64(data) {
 }
 
 /**
- * Render PlantUML diagram using back-end service (PlantUML.com)
- * @param {string} uml - PlantUML text content
+ * Decode a string in PlantUML's custom base64 alphabet (inverse of encode64)
+ * Trailing padding bytes are kept; inflate stops at the end of the stream.
+ * @param {string} text - PlantUML-encoded string
+ * @returns {Uint8Array} Binary data
  */
-function _renderBackend(uml) {
-  try {
-    // Encode using deflate compression
-    const utf8 = new TextEncoder().encode(uml);
-    const compressed = pako.deflateRaw(utf8);
-    const encoded = encode64(compressed);
-
-    // Build URL and fetch image
-    const backendBaseUrl = import.meta.env.VITE_PLANTUML_BASE_URL || 'https://www.plantuml.com/plantuml';
-    const url = `${backendBaseUrl}/png/${encoded}`;
-    document.getElementById('render-image').src = url;
-  } catch (error) {
-    console.error('Back-end render error:', error);
+function decode64(text) {
+  const alphabet = "0123456789ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz-_";
+  const data = new Uint8Array(Math.floor(text.length / 4) * 3);
+  for (let i = 0, j = 0; i + 3 < text.length; i += 4, j += 3) {
+    const c1 = alphabet.indexOf(text[i]);
+    const c2 = alphabet.indexOf(text[i + 1]);
+    const c3 = alphabet.indexOf(text[i + 2]);
+    const c4 = alphabet.indexOf(text[i + 3]);
+    if (c1 < 0 || c2 < 0 || c3 < 0 || c4 < 0) {
+      throw new Error('Invalid character in encoded diagram');
+    }
+    data[j] = (c1 << 2) | (c2 >> 4);
+    data[j + 1] = ((c2 & 0xf) << 4) | (c3 >> 2);
+    data[j + 2] = ((c3 & 0x3) << 6) | c4;
   }
+  return data;
 }
 
-function _render(){
-  if (currentRenderer === 'backend') {
-    // Back-end rendering
-    _renderBackend(editor.getValue());
-  } else {
-    // Front-end rendering (existing logic)
-    plantuml.renderPng(editor.getValue()).then((blob) => {
-      document.getElementById('render-image').src = window.URL.createObjectURL(blob);
-    }).catch((error) => {
-      console.log(error);
-    });
-  }
-}
+/**
+ * Build a back-end service URL (PlantUML.com) for the given diagram
+ * @param {string} uml - PlantUML text content
+ * @param {string} format - Server output type: 'png', 'svg' or 'txt'
+ * @param {string} theme - 'light' or 'dark'
+ * @returns {string} Image/text URL
+ */
+function getBackendUrl(uml, format, theme = 'light') {
+  // Encode using deflate compression
+  const utf8 = new TextEncoder().encode(uml);
+  const compressed = pako.deflateRaw(utf8);
+  const encoded = encode64(compressed);
 
-function debounce(func, delay = 400) {
-  let timerId
+  // The server's dark skin lives under /dpng and /dsvg; ASCII art has no colors
+  const type = theme === 'dark' && format !== 'txt' ? `d${format}` : format;
 
-  return (...args) => {
-    clearTimeout(timerId)
-    timerId = setTimeout(() => {
-      func.apply(this, args)
-    }, delay)
-  };
+  const backendBaseUrl = import.meta.env.VITE_PLANTUML_BASE_URL || 'https://www.plantuml.com/plantuml';
+  return `${backendBaseUrl}/${type}/${encoded}`;
 }
 
-const debouncedRender = debounce(() => _render())
-
-// ============================================================================
-// THEME TOGGLER
-// ============================================================================
-
 /**
- * Initialize theme based on saved preference or system preference
+ * Render PlantUML diagram using back-end service (PlantUML.com)
+ * @param {string} uml - PlantUML text content
+ * @param {string} format - 'png' or 'svg'
+ * @param {string} theme - 'light' or 'dark'
+ * @returns {Promise<void>} Resolves once the image is shown
  */
-function initializeTheme() {
+function _renderBackend(uml, format = currentFormat, theme = getCurrentTheme()) {
   try {
-    const savedTheme = localStorage.getItem(STORAGE_KEYS.THEME);
-    const prefersDark = window.matchMedia('(prefers-color-scheme: dark)').matches;
-    const currentTheme = savedTheme || (prefersDark ? 'dark' : 'light');
-    document.documentElement.setAttribute('data-theme', currentTheme);
-    updateThemeIcon(currentTheme);
+    const url = getBackendUrl(uml, format, theme);
+    const displayed = displayRenderResult(url, format);
+    // The server draws syntax errors into the returned image itself
+    clearRenderError();
+    return displayed;
   } catch (error) {
-    console.error('Error reading theme preference:', error);
-    const prefersDark = window.matchMedia('(prefers-color-scheme: dark)').matches;
-    const currentTheme = prefersDark ? 'dark' : 'light';
-    document.documentElement.setAttribute('data-theme', currentTheme);
-    updateThemeIcon(currentTheme);
+    console.error('Back-end render error:', error);
+    return Promise.resolve();
   }
 }
 
 /**
- * Initialize renderer preference from localStorage or default
+ * Request a render of the current editor content
+ * Requests are queued; see runRenderQueue.
  */
-function initializeRenderer() {
-  try {
-    const savedRenderer = localStorage.getItem(STORAGE_KEYS.RENDERER);
-    currentRenderer = savedRenderer || 'frontend';
-  } catch (error) {
-    console.error('Error reading renderer preference:', error);
-    currentRenderer = 'frontend';
+function _render(){
+  pendingRender = true;
+  if (!renderInFlight) {
+    runRenderQueue();
   }
-  updateRendererIcon(currentRenderer);
 }
 
+// ============================================================================
+// RENDER QUEUE
+// ============================================================================
+
+let pendingRender = false  // a render was requested since the last one started
+let renderInFlight = false // the queue is busy (CheerpJ runs one conversion at a time)
+let conversionChain = Promise.resolve() // tail of the front-end conversions queued so far
+
 /**
- * Check if the AI backend is properly configured
- * @returns {boolean} True if VITE_BACKEND_BASE_URL is configured and non-empty
+ * Run a front-end (CheerpJ) conversion once the ones queued before it are done
+ * Previews, exports and theme thumbnails all convert through here, since
+ * CheerpJ runs one conversion at a time and concurrent ones clobber each other's output.
+ * @param {Function} convert - Starts the conversion and returns its promise
+ * @returns {Promise<Blob>} Result of the conversion
  */
-function isBackendConfigured() {
-  const backendUrl = import.meta.env.VITE_BACKEND_BASE_URL;
-  return Boolean(backendUrl && backendUrl.trim() !== '');
+function queueConversion(convert) {
+  const result = conversionChain.then(convert);
+  conversionChain = result.catch(() => {});
+  return result;
 }
 
 /**
- * Check if user is authenticated with Firebase
- * @returns {boolean} True if user is logged in
+ * Render one request at a time
+ * Requests that arrive while a render is running collapse into a single
+ * follow-up render of the latest content; intermediate ones are dropped.
  */
-function isAuthenticated() {
-  return Boolean(window.auth && window.auth.currentUser);
+async function runRenderQueue() {
+  renderInFlight = true;
+  try {
+    while (pendingRender) {
+      pendingRender = false;
+      try {
+        await renderLatest();
+      } catch (error) {
+        // Failures before the renderer runs (page split, cache lookup, ...) must not stall the queue
+        console.error('Render error:', error);
+        showRenderError(error);
+      }
+    }
+  } finally {
+    renderInFlight = false;
+  }
 }
 
 /**
- * Handle Google sign-in with popup
- * @returns {Promise<void>}
+ * Render the current editor content and show it unless it went stale meanwhile
  */
-async function handleLogin() {
-  console.log('handleLogin called, auth available:', !!window.auth);
+async function renderLatest() {
+  const renderTab = getActiveTab();
+  // Only the diagram (or newpage page) under the cursor is rendered
+  const pages = getDiagramPages(editor.getValue());
+  const page = getPageAtRow(pages, editor.getCursorPosition().row);
+  const content = page.text;
+  // Theme and preset picked in the toolbar are applied without touching the source
+  const styled = applyDiagramStyle(content, renderTab ? renderTab.style : null);
+  const rendererName = currentRenderer;
+  const format = currentFormat;
+  const theme = getCurrentTheme();
+  // Labels for the cached result; the toggles may change before the render finishes
+  const renderSettings = { renderer: rendererName, format: format, theme: theme };
+  const startedAt = performance.now();
+
+  // Superseded by a newer request, or the user switched tabs while CheerpJ was busy
+  const isStale = () => pendingRender || Boolean(renderTab && renderTab !== getActiveTab());
+
+  setRenderStatus('rendering');
+  updatePageSelector(pages, page);
+
+  const cacheKey = await getRenderCacheKey(styled.text, rendererName, format, theme);
+  const cachedBlob = await getCachedRender(cacheKey);
+  if (cachedBlob) {
+    rememberTabRender(renderTab, content, renderSettings, cachedBlob, null);
+    if (isStale()) return;
+
+    await displayRenderResult(cachedBlob, format);
+    clearRenderError();
+    setRenderStatus('cached');
+    return;
+  }
 
-  if (!window.auth) {
-    showNotification('Firebase not initialized. Please refresh the page.', 'error');
-    console.error('Firebase auth not available');
+  if (rendererName === 'backend') {
+    // Back-end rendering: fetch the image so it can be cached, or let the
+    // <img> load the URL itself if the request is not allowed
+    const blob = await fetchBackendRender(styled.text, format, theme);
+    if (blob) {
+      putCachedRender(cacheKey, blob);
+      rememberTabRender(renderTab, content, renderSettings, blob, null);
+      if (isStale()) return;
+      await displayRenderResult(blob, format);
+      clearRenderError();
+    } else {
+      rememberTabRender(renderTab, content, renderSettings, getBackendUrl(styled.text, format, theme), null);
+      if (isStale()) return;
+      await _renderBackend(styled.text, format, theme);
+    }
+    setRenderStatus('done', performance.now() - startedAt);
     return;
   }
 
-  try {
-    const provider = new GoogleAuthProvider();
-    provider.addScope('email');
-    provider.addScope('profile');
+  // Front-end rendering
+  const renderer = format === 'svg' ? plantuml.renderSvg : plantuml.renderPng;
 
-    console.log('Starting Google sign-in flow...');
-    await signInWithPopup(window.auth, provider);
-    console.log('Sign-in successful');
-    showNotification('Successfully signed in!', 'success');
+  try {
+    const blob = await queueConversion(() => renderer(styled.text, theme));
+    putCachedRender(cacheKey, blob);
+    rememberTabRender(renderTab, content, renderSettings, blob, null);
+    if (isStale()) return;
+
+    await displayRenderResult(blob, format);
+    clearRenderError();
+    setRenderStatus('done', performance.now() - startedAt);
   } catch (error) {
-    console.error('Login error - code:', error.code, 'message:', error.message, 'full error:', error);
-
-    // Provide specific error messages based on error code
-    if (error.code === 'auth/popup-blocked') {
-      showNotification('Please enable popups to sign in with Google', 'error');
-    } else if (error.code === 'auth/popup-closed-by-user') {
-      showNotification('Sign-in was cancelled', 'error');
-    } else if (error.code === 'auth/unauthorized-domain') {
-      showNotification('This domain is not authorized for sign-in. Please contact the administrator.', 'error');
-    } else if (error.code === 'auth/quota-exceeded') {
-      showNotification('Too many sign-in attempts. Please try again later.', 'error');
-    } else if (error.code === 'auth/configuration-not-found') {
-      showNotification('Firebase configuration error. Please contact the administrator.', 'error');
-    } else {
-      showNotification(`Failed to sign in: ${error.message || 'Unknown error'}`, 'error');
+    if (Number.isInteger(error.line)) {
+      error.line = toEditorLine(page, toSourceLine(error.line, styled.insertions));
     }
+    rememberTabRender(renderTab, content, renderSettings, null, error);
+    if (isStale()) return;
+
+    showRenderError(error);
+    setRenderStatus('error', performance.now() - startedAt);
   }
 }
 
 /**
- * Handle sign-out
- * @returns {Promise<void>}
+ * Fetch a diagram from the back-end service
+ * @param {string} uml - PlantUML text content
+ * @param {string} format - 'png' or 'svg'
+ * @param {string} theme - 'light' or 'dark'
+ * @returns {Promise<Blob|null>} Rendered image, or null if it could not be fetched
  */
-async function handleLogout() {
+async function fetchBackendRender(uml, format, theme) {
   try {
-    await signOut(window.auth);
-    showNotification('Signed out successfully', 'success');
+    const response = await fetch(getBackendUrl(uml, format, theme));
+    // The server answers syntax errors with 400 and an image of the error
+    if (!response.ok && response.status !== 400) return null;
+    return await response.blob();
   } catch (error) {
-    console.error('Logout error:', error);
-    showNotification('Failed to sign out. Please try again.', 'error');
+    console.warn('Back-end fetch failed, falling back to <img>:', error);
+    return null;
   }
 }
 
-// ============================================================================
-// AI PANEL STATE
-// ============================================================================
+/**
+ * Show render progress and timing above the preview
+ * @param {string} state - 'rendering', 'done', 'error' or 'cached'
+ * @param {number|null} duration - Elapsed milliseconds for 'done' and 'error'
+ */
+function setRenderStatus(state, duration = null) {
+  const status = document.getElementById('render-status');
+  if (!status) return;
+
+  const elapsed = duration === null ? '' : `${Math.round(duration)} ms`;
+  const labels = {
+    rendering: 'Rendering…',
+    done: `Rendered in ${elapsed}`,
+    error: `Failed after ${elapsed}`,
+    cached: 'Shown from cache'
+  };
 
-let aiPanelExpanded = true;
-let generateAbortController = null;
+  status.textContent = labels[state] || '';
+  status.classList.toggle('render-status-busy', state === 'rendering');
+}
 
 /**
- * Initialize AI panel state from localStorage or default
+ * Keep a tab's latest render so switching back to it can skip re-rendering
+ * @param {Object|null} tab - Tab the render was started for
+ * @param {string} content - Source of the page that was rendered
+ * @param {Object} settings - { renderer, format, theme } the render was started with
+ * @param {Blob|string|null} source - Rendered blob or image URL (null on error)
+ * @param {Error|null} error - Render error, if any
  */
-function initializeAIPanel() {
-  // Check if backend is configured
-  if (!isBackendConfigured()) {
-    // Hide the AI panel completely if backend is not configured
-    const aiPanel = document.getElementById('ai-panel');
-    if (aiPanel) {
-      aiPanel.classList.add('hidden');
-    }
-    // Don't initialize state or attach event listeners
-    return;
+function rememberTabRender(tab, content, settings, source, error) {
+  if (!tab) return
+
+  // A failed render keeps the last good image, like the preview does
+  const previous = tab.lastRender
+  tab.lastRender = {
+    content: content,
+    renderer: settings.renderer,
+    format: settings.format,
+    theme: settings.theme,
+    source: source || (previous && previous.format === settings.format && previous.theme === settings.theme ? previous.source : null),
+    error: error
   }
+}
 
-  // Backend is configured, proceed with normal initialization
-  try {
-    const savedState = localStorage.getItem(STORAGE_KEYS.AI_PANEL_EXPANDED);
-    aiPanelExpanded = savedState !== 'false'; // Default to true
-  } catch (error) {
-    console.error('Error reading AI panel state:', error);
-    aiPanelExpanded = true;
+/**
+ * Show a tab's cached render if it is still current, otherwise render again
+ * @param {Object} tab - Tab that just became active
+ */
+function showTabRender(tab) {
+  const cached = tab.lastRender
+  const pages = getDiagramPages(tab.session.getValue())
+  const isCurrent = cached &&
+    cached.content === getPageAtRow(pages, tab.session.selection.getCursor().row).text &&
+    cached.renderer === currentRenderer &&
+    cached.format === currentFormat &&
+    cached.theme === getCurrentTheme()
+
+  if (!isCurrent) {
+    debouncedRender()
+    return
   }
-  updateAIPanelState();
 
-  // Set up authentication state listener and update initial UI state
-  if (window.auth) {
-    onAuthStateChanged(window.auth, () => {
-      updateAuthUI();
-    });
+  if (cached.source) {
+    displayRenderResult(cached.source, cached.format)
+  }
+  setRenderStatus('cached')
+  if (cached.error) {
+    showRenderError(cached.error)
+  } else {
+    clearRenderError()
+  }
+}
 
-    // Update UI immediately to set initial state
-    updateAuthUI();
+// ============================================================================
+// RENDER OUTPUT (PNG / SVG)
+// ============================================================================
+
+/**
+ * Show a rendered diagram in the preview panel
+ * PNG goes into #render-image; SVG is inlined into #render-svg so text stays
+ * selectable and links stay clickable.
+ * @param {Blob|string} source - Rendered blob (front-end) or image URL (back-end)
+ * @param {string} format - 'png' or 'svg'
+ */
+function displayRenderResult(source, format) {
+  const renderImage = document.getElementById('render-image')
+  const renderSvg = document.getElementById('render-svg')
+  const isBlob = source instanceof Blob
+
+  if (format !== 'svg' || !renderSvg) {
+    setRenderImageSource(source)
+    renderImage.classList.remove('hidden')
+    if (renderSvg) renderSvg.classList.add('hidden')
+    // Resolve once the image is decoded, so render timing covers the whole update
+    return renderImage.decode().catch(() => {})
   }
+
+  const svgText = isBlob
+    ? source.text()
+    : fetch(source).then((response) => response.text())
+
+  return svgText.then((markup) => {
+    const svgElement = sanitizeSvg(markup)
+    if (!svgElement) {
+      throw new Error('Renderer returned invalid SVG')
+    }
+
+    renderSvg.replaceChildren(svgElement)
+    renderSvg.classList.remove('hidden')
+    renderImage.classList.add('hidden')
+    updatePreviewZoomLevel()
+    highlightCursorElement()
+  }).catch((error) => {
+    // Fall back to an <img>, which can still show the SVG, just not inline
+    console.error('Failed to inline SVG:', error)
+    setRenderImageSource(source)
+    renderImage.classList.remove('hidden')
+    renderSvg.classList.add('hidden')
+  })
 }
 
+let renderImageObjectUrl = null // blob URL currently shown in #render-image
+
 /**
- * Toggle AI panel expanded/collapsed state
+ * Point #render-image at a blob or URL, revoking the blob URL it replaces
+ * @param {Blob|string} source - Rendered blob (front-end) or image URL (back-end)
  */
-function toggleAIPanel() {
-  aiPanelExpanded = !aiPanelExpanded;
-  try {
-    localStorage.setItem(STORAGE_KEYS.AI_PANEL_EXPANDED, aiPanelExpanded.toString());
-  } catch (error) {
-    console.error('Error saving AI panel state:', error);
+function setRenderImageSource(source) {
+  const renderImage = document.getElementById('render-image')
+  const isBlob = source instanceof Blob
+  const url = isBlob ? window.URL.createObjectURL(source) : source
+
+  renderImage.src = url
+  if (renderImageObjectUrl) {
+    window.URL.revokeObjectURL(renderImageObjectUrl)
   }
-  updateAIPanelState();
+  renderImageObjectUrl = isBlob ? url : null
 }
 
+// Inlined SVG runs in the app's origin and may come from someone else's share
+// link, so only elements and attributes PlantUML draws with are kept
+const SVG_ALLOWED_ELEMENTS = new Set([
+  'svg', 'g', 'defs', 'title', 'desc', 'a', 'rect', 'circle', 'ellipse', 'line',
+  'polyline', 'polygon', 'path', 'text', 'tspan', 'image', 'use', 'symbol',
+  'lineargradient', 'radialgradient', 'stop', 'clippath', 'mask', 'marker', 'pattern',
+  'filter', 'feblend', 'fecolormatrix', 'fecomposite', 'feflood', 'fegaussianblur',
+  'femerge', 'femergenode', 'feoffset'
+])
+
+const SVG_ALLOWED_ATTRIBUTES = new Set([
+  'id', 'class', 'style', 'transform', 'x', 'y', 'x1', 'y1', 'x2', 'y2', 'cx', 'cy',
+  'r', 'rx', 'ry', 'fx', 'fy', 'width', 'height', 'd', 'points', 'viewbox',
+  'preserveaspectratio', 'version', 'xmlns', 'xmlns:xlink', 'xml:space',
+  'fill', 'fill-opacity', 'fill-rule', 'stroke', 'stroke-width', 'stroke-opacity',
+  'stroke-dasharray', 'stroke-dashoffset', 'stroke-linecap', 'stroke-linejoin',
+  'stroke-miterlimit', 'opacity', 'color', 'visibility', 'display', 'overflow',
+  'font-family', 'font-size', 'font-style', 'font-weight', 'text-anchor',
+  'text-decoration', 'dominant-baseline', 'alignment-baseline', 'baseline-shift',
+  'letter-spacing', 'word-spacing', 'lengthadjust', 'textlength', 'dx', 'dy', 'rotate',
+  'offset', 'stop-color', 'stop-opacity', 'gradientunits', 'gradienttransform',
+  'spreadmethod', 'filter', 'filterunits', 'primitiveunits', 'in', 'in2', 'result',
+  'stddeviation', 'flood-color', 'flood-opacity', 'mode', 'operator', 'k1', 'k2',
+  'k3', 'k4', 'values', 'type', 'clip-path', 'clip-rule', 'clippathunits', 'mask',
+  'maskunits', 'maskcontentunits', 'marker-start', 'marker-mid', 'marker-end',
+  'markerwidth', 'markerheight', 'markerunits', 'refx', 'refy', 'orient',
+  'patternunits', 'patterncontentunits', 'patterntransform', 'href', 'xlink:href',
+  'xlink:title', 'xlink:type', 'xlink:actuate', 'xlink:show', 'target', 'rel', 'role'
+])
+
 /**
- * Update AI panel visual state based on current state
+ * Scheme of a URL as a browser would read it (browsers ignore embedded
+ * whitespace and control characters, so "java\tscript:" is still javascript:)
+ * @param {string} url - Attribute value
+ * @returns {string|null} Lower-case scheme, or null for a relative URL
  */
-function updateAIPanelState() {
-  const aiPanel = document.getElementById('ai-panel');
-  const chevron = document.getElementById('ai-panel-chevron');
+function getUrlScheme(url) {
+  const normalized = url.replace(/[\u0000-\u0020\u007f-\u009f]/g, '').toLowerCase()
+  const match = normalized.match(/^([a-z][a-z0-9+.-]*):/)
+  return match ? match[1] : null
+}
 
-  if (!aiPanel || !chevron) return;
+/**
+ * Whether a link target is safe for the element it is on
+ * @param {string} tagName - Lower-case element name
+ * @param {string} url - href value
+ * @returns {boolean} True to keep the attribute
+ */
+function isSafeSvgHref(tagName, url) {
+  const value = url.trim()
 
-  if (aiPanelExpanded) {
-    aiPanel.classList.remove('collapsed');
-    chevron.style.transform = 'rotate(0deg)';
-  } else {
-    aiPanel.classList.add('collapsed');
-    chevron.style.transform = 'rotate(-90deg)';
+  if (tagName === 'a') {
+    const scheme = getUrlScheme(value)
+    return scheme === null || ['http', 'https', 'mailto'].includes(scheme)
+  }
+  if (tagName === 'image') {
+    // Sprites and embedded pictures come as raster data URLs
+    return /^data:image\/(?:png|jpeg|gif|webp)[;,]/i.test(value)
   }
+  // <use>, gradients, patterns: references inside the document only
+  return value.startsWith('#')
 }
 
 /**
- * Update authentication UI state based on current auth state
+ * Parse SVG markup and keep only allowlisted, non-executable content before it is inlined
+ * @param {string} markup - SVG document text
+ * @returns {SVGSVGElement|null} Sanitized SVG root element or null if unparsable
  */
-function updateAuthUI() {
-  const authRequired = document.getElementById('ai-auth-required');
-  const authenticated = document.getElementById('ai-authenticated');
-  const userInfo = document.getElementById('user-info');
-  const logoutBtn = document.getElementById('btn-logout');
+function sanitizeSvg(markup) {
+  const doc = new DOMParser().parseFromString(markup, 'image/svg+xml')
+  const svg = doc.documentElement
 
-  // Defensive check - ensure all elements exist
-  if (!authRequired || !authenticated || !userInfo || !logoutBtn) {
-    return;
+  if (!svg || svg.nodeName.toLowerCase() !== 'svg' || doc.querySelector('parsererror')) {
+    return null
   }
 
-  try {
-    if (isAuthenticated()) {
-      // User is logged in
-      authRequired.classList.add('hidden');
-      authenticated.classList.remove('hidden');
+  // Unknown elements go with their children (script, foreignObject, style, animate, set, ...)
+  svg.querySelectorAll('*').forEach((node) => {
+    if (!SVG_ALLOWED_ELEMENTS.has(node.nodeName.toLowerCase())) {
+      node.remove()
+    }
+  })
 
-      // Show user info
-      const user = window.auth.currentUser;
-      const displayName = user.displayName || user.email || 'User';
-      userInfo.textContent = displayName;
-      userInfo.classList.remove('hidden');
-      logoutBtn.classList.remove('hidden');
+  const elements = [svg, ...svg.querySelectorAll('*')]
+  elements.forEach((node) => {
+    const tagName = node.nodeName.toLowerCase()
 
-      // Enable generate button if textarea has content
-      const generateBtn = document.getElementById('btn-generate');
-      const aiPromptTextarea = document.getElementById('ai-prompt-textarea');
-      if (generateBtn && aiPromptTextarea) {
-        const hasContent = aiPromptTextarea.value.trim().length > 0;
-        generateBtn.disabled = !hasContent;
-      }
-    } else {
-      // User is not logged in
-      authRequired.classList.remove('hidden');
-      authenticated.classList.add('hidden');
-      userInfo.classList.add('hidden');
-      logoutBtn.classList.add('hidden');
+    Array.from(node.attributes).forEach((attribute) => {
+      const name = attribute.name.toLowerCase()
+      const value = attribute.value
 
-      // Disable generate button
-      const generateBtn = document.getElementById('btn-generate');
-      if (generateBtn) {
-        generateBtn.disabled = true;
+      let keep = SVG_ALLOWED_ATTRIBUTES.has(name) || name.startsWith('data-') || name.startsWith('aria-')
+      if (keep && (name === 'href' || name === 'xlink:href')) {
+        keep = isSafeSvgHref(tagName, value)
+      }
+      // url() may only point inside the document (gradients, filters, markers)
+      if (keep && /url\s*\(\s*(?!['"]?#)/i.test(value)) {
+        keep = false
       }
-    }
-  } catch (error) {
-    console.error('Error updating auth UI:', error);
-  }
-}
 
-/**
- * Generate PlantUML code using AI service
- * Requires user to be authenticated with Firebase
- * @param {string} prompt - User's natural language prompt
- * @param {AbortSignal} signal - AbortSignal for cancellation
- * @returns {Promise<void>}
- */
-async function generatePlantUML(prompt, signal) {
-  // Check if user is authenticated
-  if (!isAuthenticated()) {
-    throw new Error('Please sign in to use AI generation');
-  }
-
-  const backendBaseUrl = import.meta.env.VITE_BACKEND_BASE_URL || 'http://localhost:8081';
-
-  try {
-    // Get Firebase ID token
-    const makeRequest = async (forceRefresh = false) => {
-      const currentToken = await window.auth.currentUser.getIdToken(forceRefresh);
-      return await fetch(`${backendBaseUrl}/generate`, {
-        method: 'POST',
-        headers: {
-          'Content-Type': 'application/json',
-          'Authorization': `Bearer ${currentToken}`
-        },
-        body: JSON.stringify({ prompt }),
-        signal
-      });
-    };
+      if (!keep) {
+        node.removeAttribute(attribute.name)
+      }
+    })
+  })
 
-    let response = await makeRequest();
+  // Links in diagrams open outside the editor
+  svg.querySelectorAll('a').forEach((link) => {
+    link.setAttribute('target', '_blank')
+    link.setAttribute('rel', 'noopener noreferrer')
+  })
 
-    // Handle 401 Unauthorized - try to refresh token and retry once
-    if (response.status === 401) {
-      console.log('Token expired, attempting refresh...');
-      try {
-        response = await makeRequest(true); // Force refresh token
-      } catch (retryError) {
-        throw new Error('Authentication failed. Please sign in again.');
-      }
-    }
+  return document.importNode(svg, true)
+}
 
-    if (!response.ok) {
-      // Handle HTTP errors
-      if (response.status === 400) {
-        const errorData = await response.json().catch(() => ({ message: 'Invalid request' }));
-        throw new Error(errorData.message || 'Invalid prompt. Please try again.');
-      } else if (response.status === 401) {
-        throw new Error('Authentication failed. Please sign in again.');
-      } else if (response.status === 500) {
-        throw new Error('Server error. Please try again later.');
-      } else {
-        throw new Error(`Request failed with status ${response.status}`);
-      }
-    }
+// ============================================================================
+// EXPORT
+// ============================================================================
 
-    const data = await response.json();
+// Exports for documents usually want a light diagram even in dark mode
+let exportAlwaysLight = true
 
-    if (data.status === 'success' && data.data && data.data.plantuml) {
-      // Success: update editor with generated PlantUML code
-      editor.setValue(data.data.plantuml, -1); // -1 moves cursor to start
-    } else {
-      throw new Error('Invalid response format from server');
-    }
-  } catch (error) {
-    // Handle errors
-    if (error.name === 'AbortError') {
-      // User cancelled the request - don't show error
-      console.log('Generation request cancelled by user');
-      throw error; // Re-throw to let caller handle cancellation
-    } else if (error.message) {
-      throw error; // Re-throw to let caller display notification
-    } else {
-      throw new Error('Network error. Please check your connection and try again.');
-    }
-  }
+const EXPORT_FORMATS = {
+  png: { extension: 'png', label: 'PNG image' },
+  svg: { extension: 'svg', label: 'SVG image' },
+  puml: { extension: 'puml', label: 'PlantUML source' },
+  txt: { extension: 'txt', label: 'ASCII art' }
 }
 
 /**
- * Show loading modal and store abort controller
- * @param {AbortController} controller - AbortController for cancelling the request
+ * Build a download file name from the active tab name
+ * @param {string} extension - File extension without the dot
+ * @returns {string} Safe file name
  */
-function showGenerateLoadingModal(controller) {
-  generateAbortController = controller;
-  const modal = document.getElementById('generate-loading-modal');
-  if (modal) {
-    modal.classList.remove('hidden');
-  }
+function getExportFileName(extension) {
+  const activeDiagramTab = getActiveTab()
+  const baseName = (activeDiagramTab ? activeDiagramTab.name : 'diagram')
+    .replace(/[\\/:*?"<>|]+/g, '-')
+    .trim() || 'diagram'
+
+  return `${baseName}.${extension}`
 }
 
 /**
- * Close loading modal and cleanup abort controller
+ * Produce the export payload for the current editor content
+ * ASCII art has no CheerpJ converter, so it always comes from the back-end service.
+ * Images are of the diagram page under the cursor unless a page is given.
+ * @param {string} format - 'png', 'svg', 'puml' or 'txt'
+ * @param {Object|null} page - Page from getDiagramPages
+ * @returns {Promise<Blob>} Exported file content
  */
-function closeGenerateLoadingModal() {
-  const modal = document.getElementById('generate-loading-modal');
-  if (modal) {
-    modal.classList.add('hidden');
+async function createExportBlob(format, page = null) {
+  const theme = getExportTheme()
+
+  if (format === 'puml') {
+    return new Blob([editor.getValue()], { type: 'text/plain;charset=utf-8' })
   }
-  generateAbortController = null;
+
+  const uml = (page || getPageAtRow(getDiagramPages(editor.getValue()), editor.getCursorPosition().row)).text
+  const activeDiagramTab = getActiveTab()
+  const styledUml = applyDiagramStyle(uml, activeDiagramTab ? activeDiagramTab.style : null).text
+
+  if (currentRenderer === 'frontend' && format !== 'txt') {
+    const renderer = format === 'svg' ? plantuml.renderSvg : plantuml.renderPng
+    return queueConversion(() => renderer(styledUml, theme))
+  }
+
+  const response = await fetch(getBackendUrl(styledUml, format, theme))
+  // The server answers syntax errors with an error image/text and a 400 status
+  if (!response.ok && response.status !== 400) {
+    throw new Error(`Export failed with status ${response.status}`)
+  }
+  return response.blob()
 }
 
 /**
- * Cancel the generation request
+ * Theme to render exports in: light when "always export light" is on, otherwise the app theme
+ * @returns {string} 'light' or 'dark'
  */
-function cancelGeneration() {
-  if (generateAbortController) {
-    generateAbortController.abort();
-    generateAbortController = null;
-  }
-  closeGenerateLoadingModal();
+function getExportTheme() {
+  return exportAlwaysLight ? 'light' : getCurrentTheme()
 }
 
 /**
- * Initialize copyright year with current year
+ * Initialize the "always export light" preference (on unless turned off)
  */
-function initializeCopyrightYear() {
-  const copyrightYearSpan = document.getElementById('copyright-year');
-  if (copyrightYearSpan) {
-    copyrightYearSpan.textContent = new Date().getFullYear();
+function initializeExportTheme() {
+  try {
+    exportAlwaysLight = localStorage.getItem(STORAGE_KEYS.EXPORT_LIGHT) !== 'false'
+  } catch (error) {
+    console.error('Error reading export theme preference:', error)
+    exportAlwaysLight = true
   }
+
+  const toggle = document.getElementById('export-light-toggle')
+  if (toggle) toggle.checked = exportAlwaysLight
 }
 
 /**
- * Set theme and update icon
- * @param {string} theme - 'light' or 'dark'
+ * Save the "always export light" preference
+ * @param {boolean} enabled - Render exports light regardless of the app theme
  */
-function setTheme(theme) {
-  document.documentElement.setAttribute('data-theme', theme);
+function setExportAlwaysLight(enabled) {
+  exportAlwaysLight = enabled
   try {
-    localStorage.setItem(STORAGE_KEYS.THEME, theme);
+    localStorage.setItem(STORAGE_KEYS.EXPORT_LIGHT, String(enabled))
   } catch (error) {
-    console.error('Error saving theme preference:', error);
+    console.error('Error saving export theme preference:', error)
   }
-  updateThemeIcon(theme);
 }
 
 /**
- * Toggle between front-end and back-end renderers
+ * Trigger a browser download for a blob
+ * @param {Blob} blob - File content
+ * @param {string} fileName - Suggested file name
  */
-function toggleRenderer() {
-  currentRenderer = currentRenderer === 'frontend' ? 'backend' : 'frontend';
+function downloadBlob(blob, fileName) {
+  const url = window.URL.createObjectURL(blob)
+  const link = document.createElement('a')
+  link.href = url
+  link.download = fileName
+  document.body.appendChild(link)
+  link.click()
+  document.body.removeChild(link)
+  // Give the browser a moment to start the download before revoking
+  setTimeout(() => window.URL.revokeObjectURL(url), 1000)
+}
+
+/**
+ * Export the current diagram in the given format
+ * @param {string} format - Key of EXPORT_FORMATS
+ */
+async function handleExport(format) {
+  const exportFormat = EXPORT_FORMATS[format]
+  if (!exportFormat) return
+
+  closeExportMenu()
+
   try {
-    localStorage.setItem(STORAGE_KEYS.RENDERER, currentRenderer);
+    const blob = await createExportBlob(format)
+    const fileName = getExportFileName(exportFormat.extension)
+    downloadBlob(blob, fileName)
+    showNotification(`Exported '${fileName}'`, 'success')
   } catch (error) {
-    console.error('Error saving renderer preference:', error);
+    console.error('Export error:', error)
+    showNotification(`Failed to export ${exportFormat.label}: ${error.message || 'Unknown error'}`, 'error')
   }
-  updateRendererIcon(currentRenderer);
-  debouncedRender(); // Re-render with new renderer
 }
 
 /**
- * Update theme toggle button icon
- * @param {string} theme - 'light' or 'dark'
+ * Export every diagram and page of the file as a zip of images
+ * @param {string} format - 'png' or 'svg'
  */
-function updateThemeIcon(theme) {
-  const themeIcon = document.getElementById('theme-icon')
-  if (!themeIcon) return
+async function handleExportAllPages(format) {
+  const exportFormat = EXPORT_FORMATS[format]
+  if (!exportFormat) return
 
-  if (theme === 'dark') {
-    // Show sun icon (clicking will switch to light)
-    themeIcon.innerHTML = `
-      <svg xmlns="http://www.w3.org/2000/svg" class="h-4 w-4" fill="none" viewBox="0 0 24 24" stroke="currentColor">
-        <path stroke-linecap="round" stroke-linejoin="round" stroke-width="2" d="M12 3v1m0 16v1m9-9h-1M4 12H3m15.364 6.364l-.707-.707M6.343 6.343l-.707-.707m12.728 0l-.707.707M6.343 17.657l-.707.707M16 12a4 4 0 11-8 0 4 4 0 018 0z" />
-      </svg>
-    `
-  } else {
-    // Show moon icon (clicking will switch to dark)
-    themeIcon.innerHTML = `
-      <svg xmlns="http://www.w3.org/2000/svg" class="h-4 w-4" fill="none" viewBox="0 0 24 24" stroke="currentColor">
-        <path stroke-linecap="round" stroke-linejoin="round" stroke-width="2" d="M20.354 15.354A9 9 0 018.646 3.646 9.003 9.003 0 0012 21a9.003 9.003 0 008.354-5.646z" />
-      </svg>
-    `
+  closeExportMenu()
+
+  const pages = getDiagramPages(editor.getValue())
+  const baseName = getExportFileName('zip').replace(/\.zip$/, '')
+  const digits = String(pages.length).length
+
+  try {
+    const zip = new JSZip()
+    // Queue every page up front, so the conversions run back to back through the
+    // conversion queue without a preview render slipping in between pages
+    const blobs = await Promise.all(pages.map(page => createExportBlob(format, page)))
+    pages.forEach((page, i) => {
+      const number = String(page.index + 1).padStart(digits, '0')
+      zip.file(`${baseName}-${number}.${exportFormat.extension}`, blobs[i])
+    })
+
+    const fileName = getExportFileName('zip')
+    downloadBlob(await zip.generateAsync({ type: 'blob' }), fileName)
+    showNotification(`Exported ${pages.length} pages to '${fileName}'`, 'success')
+  } catch (error) {
+    console.error('Export error:', error)
+    showNotification(`Failed to export pages: ${error.message || 'Unknown error'}`, 'error')
   }
 }
 
 /**
- * Update renderer toggle button icon
- * @param {string} renderer - 'frontend' or 'backend'
+ * Toggle the export dropdown menu
  */
-function updateRendererIcon(renderer) {
-  const rendererIcon = document.getElementById('renderer-icon');
-  if (!rendererIcon) return;
-
-  if (renderer === 'backend') {
-    // Show server/backend icon
-    rendererIcon.innerHTML = `
-      <svg xmlns="http://www.w3.org/2000/svg" class="h-4 w-4" fill="none" viewBox="0 0 24 24" stroke="currentColor">
-        <path stroke-linecap="round" stroke-linejoin="round" stroke-width="2" d="M5 12h14M5 12a2 2 0 01-2-2V6a2 2 0 012-2h14a2 2 0 012 2v4a2 2 0 01-2 2M5 12a2 2 0 00-2 2v4a2 2 0 002 2h14a2 2 0 002-2v-4a2 2 0 00-2-2m-2-4h.01M17 16h.01" />
-      </svg>
-    `;
-  } else {
-    // Show client/front-end icon
-    rendererIcon.innerHTML = `
-      <svg xmlns="http://www.w3.org/2000/svg" class="h-4 w-4" fill="none" viewBox="0 0 24 24" stroke="currentColor">
-        <path stroke-linecap="round" stroke-linejoin="round" stroke-width="2" d="M9.75 17L9 20l-1 1h8l-1-1-.75-3M3 13h18M5 17h14a2 2 0 002-2V5a2 2 0 00-2-2H5a2 2 0 00-2 2v10a2 2 0 002 2z" />
-      </svg>
-    `;
+function toggleExportMenu() {
+  const exportMenu = document.getElementById('export-menu')
+  if (!exportMenu) return
+
+  exportMenu.classList.toggle('hidden')
+  if (!exportMenu.classList.contains('hidden')) {
+    // "All pages" only makes sense for files with more than one diagram or page
+    const hasPages = getDiagramPages(editor.getValue()).length > 1
+    document.getElementById('export-pages-items').classList.toggle('hidden', !hasPages)
+
+    const firstItem = exportMenu.querySelector('button')
+    if (firstItem) firstItem.focus()
   }
 }
 
 /**
- * Update window title (always static now)
- * @param {string} diagramName - Ignored, kept for backward compatibility
+ * Close the export dropdown menu
  */
-function updateWindowTitle(_diagramName) {
-  document.title = 'PlantUML Editor'
+function closeExportMenu() {
+  const exportMenu = document.getElementById('export-menu')
+  if (exportMenu) {
+    exportMenu.classList.add('hidden')
+  }
 }
 
 // ============================================================================
-// CUSTOM TAB SYSTEM FOR MULTIPLE DIAGRAMS
+// RENDER CACHE
 // ============================================================================
 
+const RENDER_CACHE_MEMORY_LIMIT = 50 // entries kept in memory
+const RENDER_CACHE_DB_LIMIT = 300    // entries kept in IndexedDB
+const RENDER_CACHE_DB_BYTES = 50 * 1024 * 1024 // total output size kept in IndexedDB
+const renderMemoryCache = new Map()  // key -> Blob, oldest first
+
 /**
- * Generate a unique tab ID
- * @returns {string} Unique tab ID
+ * Build the cache key for a render: a hash of the source and every option that
+ * changes the output
+ * @param {string} uml - PlantUML text content
+ * @param {string} renderer - 'frontend' or 'backend'
+ * @param {string} format - 'png' or 'svg'
+ * @param {string} theme - 'light' or 'dark'
+ * @returns {Promise<string>} Hex key
  */
-function generateTabId() {
-  return 'tab-' + Date.now() + '-' + Math.random().toString(36).substring(2, 11)
+async function getRenderCacheKey(uml, renderer, format, theme) {
+  const text = JSON.stringify([renderer, format, theme, uml])
+
+  if (window.crypto && window.crypto.subtle) {
+    const digest = await window.crypto.subtle.digest('SHA-256', new TextEncoder().encode(text))
+    return Array.from(new Uint8Array(digest), byte => byte.toString(16).padStart(2, '0')).join('')
+  }
+
+  // crypto.subtle only exists in secure contexts; fall back to two 32-bit FNV-1a hashes
+  let h1 = 0x811c9dc5
+  let h2 = 0x01000193
+  for (let i = 0; i < text.length; i++) {
+    const code = text.charCodeAt(i)
+    h1 = Math.imul(h1 ^ code, 0x01000193)
+    h2 = Math.imul(h2 ^ code, 0x811c9dc5)
+  }
+  return `${(h1 >>> 0).toString(16)}${(h2 >>> 0).toString(16)}-${text.length}`
 }
 
 /**
- * Create a new tab
- * @param {string} fileId - localStorage file ID
- * @param {string} name - Tab display name
- * @returns {string} New tab ID
+ * Look up a render, first in memory, then in IndexedDB
+ * @param {string} key - Cache key
+ * @param {boolean} remember - Keep an IndexedDB hit in the in-memory cache
+ * @returns {Promise<Blob|null>} Cached output or null
  */
-function createTab(fileId, name) {
-  if (tabs.length >= MAX_TABS) {
-    showNotification(`Maximum tab limit (${MAX_TABS}) reached`, 'error')
-    return null
+async function getCachedRender(key, remember = true) {
+  if (renderMemoryCache.has(key)) {
+    // Move to the newest end
+    const blob = renderMemoryCache.get(key)
+    renderMemoryCache.delete(key)
+    renderMemoryCache.set(key, blob)
+    return blob
   }
 
-  const tabId = generateTabId()
-  const newTab = {
-    id: tabId,
-    fileId: fileId,
-    name: name,
-    isUnsaved: false
-  }
+  try {
+    const db = await openDatabase()
+    const store = db.transaction(DB_STORES.RENDERS, 'readonly').objectStore(DB_STORES.RENDERS)
+    const entry = await idbRequest(store.get(key))
+    if (!entry) return null
 
-  tabs.push(newTab)
-  return tabId
+    if (remember) rememberRenderInMemory(key, entry.blob)
+
+    // Keep recently used entries from being pruned
+    entry.lastUsed = Date.now()
+    idbTransaction(DB_STORES.RENDERS, 'readwrite', (transaction) => {
+      transaction.objectStore(DB_STORES.RENDERS).put(entry)
+    }).catch(() => {})
+
+    return entry.blob
+  } catch (error) {
+    console.error('Error reading render cache:', error)
+    return null
+  }
 }
 
 /**
- * Switch to a different tab
- * @param {string} tabId - ID of tab to switch to
+ * Store a render in memory and IndexedDB
+ * @param {string} key - Cache key
+ * @param {Blob} blob - Rendered output
+ * @param {boolean} remember - Also keep it in the in-memory cache
  */
-function switchToTab(tabId) {
-  const tab = tabs.find(t => t.id === tabId)
-  if (!tab) {
-    console.error('Tab not found:', tabId)
-    return
-  }
+async function putCachedRender(key, blob, remember = true) {
+  if (remember) rememberRenderInMemory(key, blob)
+  if (blob.size > RENDER_CACHE_DB_BYTES) return
 
-  // Save current tab content before switching
-  if (activeTabId) {
-    const currentTab = tabs.find(t => t.id === activeTabId)
-    if (currentTab) {
-      // Save current content to the tab's file
-      const content = editor.getValue()
-      const files = getAllFiles()
-      const fileIndex = files.findIndex(f => f.id === currentTab.fileId)
-
-      if (fileIndex >= 0) {
-        files[fileIndex].content = content
-        files[fileIndex].lastModified = new Date().toISOString()
-        saveAllFiles(files)
-      }
+  const write = () => idbTransaction(DB_STORES.RENDERS, 'readwrite', (transaction) => {
+    transaction.objectStore(DB_STORES.RENDERS).put({ key: key, blob: blob, size: blob.size, lastUsed: Date.now() })
+  })
+
+  try {
+    try {
+      await write()
+    } catch (error) {
+      if (!error || error.name !== 'QuotaExceededError') throw error
+      // Out of origin quota: give up the older half of the cache and try once more
+      const keptBytes = await pruneRenderCache()
+      await pruneRenderCache(Math.floor(keptBytes / 2))
+      await write()
     }
+    await pruneRenderCache()
+  } catch (error) {
+    // The cache is an optimization; a full disk must not break rendering
+    console.warn('Error writing render cache:', error)
   }
+}
 
-  // Load new tab's content
-  const files = getAllFiles()
-  const file = files.find(f => f.id === tab.fileId)
+/**
+ * Add a render to the in-memory cache, evicting the least recently used entry
+ * @param {string} key - Cache key
+ * @param {Blob} blob - Rendered output
+ */
+function rememberRenderInMemory(key, blob) {
+  renderMemoryCache.delete(key)
+  renderMemoryCache.set(key, blob)
 
-  if (file) {
-    editor.setValue(file.content, -1)
-    currentDiagramName = file.name
-    lastSavedContent = file.content
+  if (renderMemoryCache.size > RENDER_CACHE_MEMORY_LIMIT) {
+    renderMemoryCache.delete(renderMemoryCache.keys().next().value)
   }
+}
 
-  // Update active tab
-  activeTabId = tabId
+/**
+ * Drop the least recently used renders beyond RENDER_CACHE_DB_LIMIT entries or
+ * the given total size
+ * @param {number} byteLimit - Total output size to keep
+ * @returns {Promise<number>} Total size of the renders kept
+ */
+async function pruneRenderCache(byteLimit = RENDER_CACHE_DB_BYTES) {
+  let keptBytes = 0
+  let keptCount = 0
+  let full = false
+
+  await idbTransaction(DB_STORES.RENDERS, 'readwrite', (transaction) => {
+    // Newest first: everything after the first entry that does not fit goes
+    const index = transaction.objectStore(DB_STORES.RENDERS).index('lastUsed')
+    index.openCursor(null, 'prev').onsuccess = (event) => {
+      const cursor = event.target.result
+      if (!cursor) return
+
+      // Entries cached before sizes were recorded
+      const size = cursor.value.size || (cursor.value.blob ? cursor.value.blob.size : 0)
+      full = full || keptCount >= RENDER_CACHE_DB_LIMIT || keptBytes + size > byteLimit
+      if (full) {
+        cursor.delete()
+      } else {
+        keptBytes += size
+        keptCount++
+      }
+      cursor.continue()
+    }
+  })
 
-  // Re-render tabs
-  renderTabs()
-  debouncedRender()
+  return keptBytes
 }
 
+// ============================================================================
+// RENDER ERROR REPORTING
+// ============================================================================
+
 /**
- * Close a tab
- * @param {string} tabId - ID of tab to close
+ * Show a render error in the preview banner and mark the failing line in the gutter
+ * @param {Error} error - Rejection from plantuml.renderPng ({ status, message, line })
  */
-function closeTab(tabId) {
-  const tabIndex = tabs.findIndex(t => t.id === tabId)
-  if (tabIndex === -1) return
+function showRenderError(error) {
+  const banner = document.getElementById('render-error')
+  const bannerMessage = document.getElementById('render-error-message')
+  const imageWrapper = document.getElementById('right-panel-image-wrapper')
 
-  // Don't allow closing the last tab
-  if (tabs.length === 1) {
-    showNotification('Cannot close the last tab', 'error')
-    return
-  }
+  const message = error && error.message ? error.message : 'Unable to render diagram'
+  const line = error && Number.isInteger(error.line) ? error.line : null
 
-  const wasActive = tabId === activeTabId
+  if (banner && bannerMessage) {
+    bannerMessage.textContent = line ? `Line ${line}: ${message}` : message
+    banner.classList.remove('hidden')
+  }
 
-  // Remove the tab
-  tabs.splice(tabIndex, 1)
+  // Keep the last good image on screen, but make it clear that it is outdated
+  if (imageWrapper) {
+    imageWrapper.classList.add('render-stale')
+  }
 
-  // If we closed the active tab, switch to another
-  if (wasActive) {
-    const newActiveIndex = Math.min(tabIndex, tabs.length - 1)
-    activeTabId = tabs[newActiveIndex].id
-    switchToTab(activeTabId)
+  if (line) {
+    const row = Math.min(line - 1, editor.session.getLength() - 1)
+    editor.session.setAnnotations([{
+      row: Math.max(row, 0),
+      column: 0,
+      text: message,
+      type: 'error'
+    }])
   } else {
-    renderTabs()
+    editor.session.clearAnnotations()
   }
 }
 
 /**
- * Get the active tab object
- * @returns {Object|null} Active tab object or null
- */
-function getActiveTab() {
-  return tabs.find(t => t.id === activeTabId) || null
-}
-
-/**
- * Render the tab strip UI
+ * Hide the render error banner and clear gutter annotations
  */
-function renderTabs() {
-  const tabsContainer = document.getElementById('diagram-tabs')
-  if (!tabsContainer) return
+function clearRenderError() {
+  const banner = document.getElementById('render-error')
+  const imageWrapper = document.getElementById('right-panel-image-wrapper')
 
-  if (tabs.length === 0) {
-    tabsContainer.innerHTML = ''
-    return
+  if (banner) {
+    banner.classList.add('hidden')
   }
-
-  tabsContainer.innerHTML = tabs.map(tab => {
-    const isActive = tab.id === activeTabId
-    const activeClass = isActive ? 'tab-active' : 'tab-inactive'
-
-    return `
-      <div class="diagram-tab ${activeClass}" data-tab-id="${tab.id}">
-        <span class="tab-name">${escapeHtml(tab.name)}</span>
-        <button class="tab-close" onclick="closeTab('${tab.id}')" title="Close tab">×</button>
-      </div>
-    `
-  }).join('')
+  if (imageWrapper) {
+    imageWrapper.classList.remove('render-stale')
+  }
+  editor.session.clearAnnotations()
 }
 
-// Make closeTab globally accessible for onclick handlers
-window.closeTab = closeTab
+// ============================================================================
+// DIAGRAM THEMES AND SKINPARAM PRESETS
+// ============================================================================
 
-// Add click event delegation for tabs
-document.addEventListener('DOMContentLoaded', () => {
-  const tabsContainer = document.getElementById('diagram-tabs')
-  if (tabsContainer) {
-    tabsContainer.addEventListener('click', (e) => {
-      const tab = e.target.closest('.diagram-tab')
-      if (tab && !e.target.classList.contains('tab-close')) {
-        const tabId = tab.getAttribute('data-tab-id')
-        if (tabId) {
-          switchToTab(tabId)
-        }
-      }
-    })
-  }
-})
+// Built-in PlantUML themes (https://plantuml.com/theme)
+const PLANTUML_THEMES = [
+  'amiga', 'aws-orange', 'black-knight', 'bluegray', 'blueprint', 'carbon-gray',
+  'cerulean', 'cerulean-outline', 'cloudscape-design', 'crt-amber', 'crt-green',
+  'cyborg', 'cyborg-outline', 'hacker', 'lightgray', 'mars', 'materia',
+  'materia-outline', 'metal', 'mimeograph', 'minty', 'mono', 'plain',
+  'reddress-darkblue', 'reddress-darkgreen', 'reddress-darkorange', 'reddress-darkred',
+  'reddress-lightblue', 'reddress-lightgreen', 'reddress-lightorange', 'reddress-lightred',
+  'sandstone', 'silver', 'sketchy', 'sketchy-outline', 'spacelab', 'spacelab-white',
+  'sunlust', 'superhero', 'superhero-outline', 'toy', 'united', 'vibrant'
+]
 
-const jarPath = "/app" + pathname + "jar"
+const START_LINE_PATTERN = /^\s*@start\w+/i
 
-// ============================================================================
-// SHARE FUNCTIONALITY
-// ============================================================================
+const skinThumbnailUrls = new Map() // `${renderer}:${theme}:${name}` -> image URL (blob URLs for front-end)
+let skinThumbnailRun = 0 // bumped to stop an older thumbnail pass
 
 /**
- * Encode PlantUML content using URL-safe base64 encoding
- * @param {string} text - PlantUML text to encode
- * @returns {string} URL-safe base64 encoded string
+ * Read the user's skinparam presets
+ * @returns {Array<Object>} Presets: { id, name, skinparams }
  */
-function encodePlantuml(text) {
-  // Use browser's built-in btoa with UTF-8 handling
-  const utf8Bytes = encodeURIComponent(text).replace(/%([0-9A-F]{2})/g, (_match, p1) => {
-    return String.fromCharCode('0x' + p1)
-  })
-  const base64 = btoa(utf8Bytes)
-  // Make it URL-safe
-  return base64.replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '')
+function getSkinPresets() {
+  try {
+    const presets = JSON.parse(localStorage.getItem(STORAGE_KEYS.SKIN_PRESETS) || '[]')
+    return Array.isArray(presets) ? presets : []
+  } catch (error) {
+    console.error('Error reading skinparam presets:', error)
+    return []
+  }
 }
 
 /**
- * Decode PlantUML content from URL-safe base64 encoding
- * @param {string} encoded - URL-safe base64 encoded string
- * @returns {string} Decoded PlantUML text
+ * Save the user's skinparam presets
+ * @param {Array<Object>} presets - Presets: { id, name, skinparams }
  */
-function decodePlantuml(encoded) {
-  // Restore base64 format
-  let base64 = encoded.replace(/-/g, '+').replace(/_/g, '/')
-  // Add padding if needed
-  while (base64.length % 4) {
-    base64 += '='
+function saveSkinPresets(presets) {
+  try {
+    localStorage.setItem(STORAGE_KEYS.SKIN_PRESETS, JSON.stringify(presets))
+  } catch (error) {
+    console.error('Error saving skinparam presets:', error)
+    showNotification('Failed to save preset', 'error')
   }
-  // Decode
-  const utf8Bytes = atob(base64)
-  return decodeURIComponent(utf8Bytes.split('').map(c => {
-    return '%' + ('00' + c.charCodeAt(0).toString(16)).slice(-2)
-  }).join(''))
 }
 
 /**
- * Generate shareable URL with encoded PlantUML content
- * @returns {string} Full shareable URL
+ * Build the directives for a diagram style
+ * @param {Object|null} style - { theme, presetId }
+ * @returns {Array<string>} Lines to inject after each @start line
  */
-function generateShareUrl() {
-  // Check if editor exists
-  if (!editor || typeof editor.getValue !== 'function') {
-    console.error('Editor not initialized')
-    return null
-  }
+function getStyleDirectives(style) {
+  if (!style) return []
 
-  const plantumlContent = editor.getValue()
-  const encoded = encodePlantuml(plantumlContent)
-  const baseUrl = window.location.origin + window.location.pathname
-  const fullUrl = `${baseUrl}#/${encoded}`
+  const lines = []
+  if (style.theme) {
+    lines.push(`!theme ${style.theme}`)
+  }
+  if (style.presetId) {
+    const preset = getSkinPresets().find(p => p.id === style.presetId)
+    if (preset) lines.push(...preset.skinparams.split('\n'))
+  }
+  return lines
+}
 
-  // Warn if URL is getting too long (browsers typically support ~2000-8000 chars)
-  const MAX_SAFE_URL_LENGTH = 6000
-  if (fullUrl.length > MAX_SAFE_URL_LENGTH) {
-    console.warn(`Generated URL is ${fullUrl.length} characters. Some browsers may have issues with URLs over ${MAX_SAFE_URL_LENGTH} characters.`)
+/**
+ * Inject the picked theme and preset into the source sent to the renderer
+ * @param {string} uml - PlantUML source as written
+ * @param {Object|null} style - { theme, presetId }
+ * @returns {Object} { text, insertions: [{ afterLine, count }] } with 1-based source lines
+ */
+function applyDiagramStyle(uml, style) {
+  const directives = getStyleDirectives(style)
+  if (directives.length === 0) {
+    return { text: uml, insertions: [] }
   }
 
-  return fullUrl
+  const lines = uml.split('\n')
+  const output = []
+  const insertions = []
+
+  lines.forEach((line, index) => {
+    output.push(line)
+    // Every diagram block in the file gets the style
+    if (START_LINE_PATTERN.test(line)) {
+      output.push(...directives)
+      insertions.push({ afterLine: index + 1, count: directives.length })
+    }
+  })
+
+  if (insertions.length === 0) {
+    return { text: [...directives, ...lines].join('\n'), insertions: [{ afterLine: 0, count: directives.length }] }
+  }
+  return { text: output.join('\n'), insertions: insertions }
 }
 
 /**
- * Copy text to clipboard using modern Clipboard API
- * @param {string} text - Text to copy
- * @returns {Promise<boolean>} True if successful, false otherwise
+ * Map a line number in the styled source back to the source as written
+ * @param {number} line - 1-based line in the rendered text
+ * @param {Array<Object>} insertions - From applyDiagramStyle
+ * @returns {number} 1-based line in the editor
  */
-async function copyToClipboard(text) {
-  try {
-    await navigator.clipboard.writeText(text)
-    return true
-  } catch (error) {
-    console.error('Failed to copy to clipboard:', error)
-    return false
+function toSourceLine(line, insertions) {
+  let offset = 0
+  for (const { afterLine, count } of insertions) {
+    if (line <= afterLine + offset) break
+    // An error inside the injected style points at the @start line
+    if (line <= afterLine + offset + count) return Math.max(afterLine, 1)
+    offset += count
   }
+  return line - offset
 }
 
-// Track auto-dismiss timer to prevent race conditions
-let shareModalTimer = null
-let notificationTimer = null
-
 /**
- * Show share notification modal with URL
- * @param {string} url - Shareable URL
- * @param {boolean} copySuccess - Whether clipboard copy succeeded
+ * Apply a theme or preset to the active diagram without editing its source
+ * The choice is stored on the file, so it follows the diagram across reloads.
+ * @param {Object} changes - { theme } and/or { presetId }; null clears
  */
-function showShareNotification(url, copySuccess = true) {
-  const shareModal = document.getElementById('share-modal')
-  const shareUrlInput = document.getElementById('share-url')
-  const successMessage = document.getElementById('share-success-message')
-  const errorMessage = document.getElementById('share-error-message')
+async function setActiveDiagramStyle(changes) {
+  const activeDiagramTab = getActiveTab()
+  if (!activeDiagramTab) return
 
-  // Clear any existing timer to prevent race conditions
-  if (shareModalTimer !== null) {
-    clearTimeout(shareModalTimer)
-    shareModalTimer = null
-  }
+  const style = { ...(activeDiagramTab.style || {}), ...changes }
+  Object.keys(style).forEach((key) => {
+    if (!style[key]) delete style[key]
+  })
+  const newStyle = Object.keys(style).length > 0 ? style : null
 
-  // Set URL in input
-  shareUrlInput.value = url
+  tabs.filter(t => t.fileId === activeDiagramTab.fileId).forEach((tab) => {
+    tab.style = newStyle
+    tab.lastRender = null
+  })
 
-  // Show appropriate message
-  if (copySuccess) {
-    successMessage.classList.remove('hidden')
-    errorMessage.classList.add('hidden')
-  } else {
-    successMessage.classList.add('hidden')
-    errorMessage.classList.remove('hidden')
-    // Auto-select text for manual copy if clipboard failed
-    shareUrlInput.select()
+  const file = await getFile(activeDiagramTab.fileId)
+  if (file) {
+    if (newStyle) {
+      file.style = newStyle
+    } else {
+      delete file.style
+    }
+    await putFile(file)
   }
 
-  // Show modal
-  shareModal.classList.remove('hidden')
-
-  // Auto-dismiss after 3 seconds
-  shareModalTimer = setTimeout(() => {
-    closeShareModal()
-    shareModalTimer = null
-  }, 3000)
+  updateSkinLabel()
+  renderSkinMenu()
+  debouncedRender()
 }
 
 /**
- * Close share modal
+ * Write a directive into the source after the first @start line (or replace
+ * an existing line that matches)
+ * @param {string} text - Lines to insert
+ * @param {RegExp|null} replacePattern - Existing line to replace instead
  */
-function closeShareModal() {
-  const shareModal = document.getElementById('share-modal')
-  shareModal.classList.add('hidden')
-  // Clear timer if modal is manually closed
-  if (shareModalTimer !== null) {
-    clearTimeout(shareModalTimer)
-    shareModalTimer = null
+function insertIntoSource(text, replacePattern = null) {
+  const session = editor.session
+  const lines = session.getDocument().getAllLines()
+
+  const existingRow = replacePattern ? lines.findIndex(line => replacePattern.test(line)) : -1
+  if (existingRow !== -1) {
+    const Range = ace.require('ace/range').Range
+    session.replace(new Range(existingRow, 0, existingRow, lines[existingRow].length), text)
+    return
   }
+
+  const startRow = lines.findIndex(line => START_LINE_PATTERN.test(line))
+  session.insert({ row: startRow + 1, column: 0 }, `${text}\n`)
 }
 
 /**
- * Show notification message in bottom-left corner
- * @param {string} message - Notification message to display
- * @param {string} type - Notification type: 'success' or 'error'
+ * Insert a theme into the source as a !theme line
+ * @param {string} name - PlantUML theme name
  */
-function showNotification(message, type = 'success') {
-  const notification = document.getElementById('notification')
-  const notificationMessage = document.getElementById('notification-message')
-
-  if (!notification || !notificationMessage) {
-    console.error('Notification elements not found')
-    return
-  }
-
-  // Clear any existing timer to prevent race conditions
-  if (notificationTimer !== null) {
-    clearTimeout(notificationTimer)
-    notificationTimer = null
+async function insertThemeIntoSource(name) {
+  insertIntoSource(`!theme ${name}`, /^\s*!theme\b/i)
+  closeSkinMenu()
+  // It is in the source now; applying it on top as well would be redundant
+  const activeDiagramTab = getActiveTab()
+  if (activeDiagramTab && activeDiagramTab.style && activeDiagramTab.style.theme) {
+    await setActiveDiagramStyle({ theme: null })
   }
+  editor.focus()
+}
 
-  // Set message
-  notificationMessage.textContent = message
+/**
+ * Insert a preset's skinparams into the source
+ * @param {string} presetId - Preset ID
+ */
+async function insertPresetIntoSource(presetId) {
+  const preset = getSkinPresets().find(p => p.id === presetId)
+  if (!preset) return
 
-  // Set styling based on type
-  const notificationDiv = notification.querySelector('div')
-  if (type === 'success') {
-    notificationDiv.className = 'px-4 py-3 rounded-lg shadow-lg flex items-center gap-2 bg-green-100 text-green-800'
-  } else if (type === 'error') {
-    notificationDiv.className = 'px-4 py-3 rounded-lg shadow-lg flex items-center gap-2 bg-red-100 text-red-800'
-  } else {
-    notificationDiv.className = 'px-4 py-3 rounded-lg shadow-lg flex items-center gap-2 bg-gray-100 text-gray-800'
+  insertIntoSource(preset.skinparams)
+  closeSkinMenu()
+  const activeDiagramTab = getActiveTab()
+  if (activeDiagramTab && activeDiagramTab.style && activeDiagramTab.style.presetId === presetId) {
+    await setActiveDiagramStyle({ presetId: null })
   }
+  editor.focus()
+}
 
-  // Show notification
-  notification.classList.remove('hidden')
+/**
+ * Collect the skinparam lines (including { } blocks) of a diagram
+ * @param {string} uml - PlantUML source
+ * @returns {string} Skinparam lines, one per line
+ */
+function extractSkinparams(uml) {
+  const collected = []
+  let depth = 0
+
+  uml.split('\n').forEach((line) => {
+    const braces = (line.match(/\{/g) || []).length - (line.match(/\}/g) || []).length
+
+    if (depth > 0) {
+      collected.push(line)
+      depth += braces
+    } else if (/^\s*skinparam\b/i.test(line)) {
+      collected.push(line.trim())
+      depth = Math.max(braces, 0)
+    }
+  })
 
-  // Auto-dismiss after 3 seconds
-  notificationTimer = setTimeout(() => {
-    notification.classList.add('hidden')
-    notificationTimer = null
-  }, 3000)
+  return collected.join('\n')
 }
 
 /**
- * Handle share button click - orchestrate share flow
+ * Save the active diagram's skinparams as a reusable preset
  */
-async function handleShare() {
-  const url = generateShareUrl()
-
-  // Check if URL generation failed
-  if (!url) {
-    alert('Unable to generate share link. Please try again.')
+function handleSavePreset() {
+  const skinparams = extractSkinparams(editor.getValue())
+  if (!skinparams) {
+    showNotification('No skinparam lines in this diagram to save', 'error')
     return
   }
 
-  const copySuccess = await copyToClipboard(url)
-  showShareNotification(url, copySuccess)
+  const name = prompt('Preset name:', '')
+  if (!name || name.trim() === '') return
+
+  const presets = getSkinPresets()
+  presets.push({ id: `preset-${Date.now()}`, name: name.trim(), skinparams: skinparams })
+  saveSkinPresets(presets)
+  renderSkinMenu()
+  showNotification(`Saved preset '${name.trim()}'`, 'success')
 }
 
 /**
- * Handle New button click - create a new diagram with name prompt
+ * Delete a skinparam preset
+ * @param {string} presetId - Preset ID
  */
-function handleNew() {
-  const defaultTemplate = '@startuml\nBob -> Alice: Hello!\n@enduml';
+async function handleDeletePreset(presetId) {
+  const preset = getSkinPresets().find(p => p.id === presetId)
+  if (!preset || !confirm(`Delete preset '${preset.name}'?`)) return
 
-  // Prompt for diagram name
-  const diagramName = prompt('Enter a name for the new diagram:', 'Untitled Diagram')
+  saveSkinPresets(getSkinPresets().filter(p => p.id !== presetId))
 
-  // Cancel if user cancels or enters empty name
-  if (!diagramName || diagramName.trim() === '') {
-    return
+  const activeDiagramTab = getActiveTab()
+  if (activeDiagramTab && activeDiagramTab.style && activeDiagramTab.style.presetId === presetId) {
+    await setActiveDiagramStyle({ presetId: null })
+  } else {
+    renderSkinMenu()
   }
+}
 
-  // Create a new file in localStorage
-  const newFile = saveFile(diagramName.trim(), defaultTemplate)
+/**
+ * Show the active diagram's theme on the toolbar button
+ */
+function updateSkinLabel() {
+  const skinLabel = document.getElementById('skin-label')
+  if (!skinLabel) return
 
-  if (!newFile) {
-    showNotification('Failed to create new diagram', 'error')
-    return
-  }
+  const activeDiagramTab = getActiveTab()
+  const style = activeDiagramTab ? activeDiagramTab.style : null
+  skinLabel.textContent = style && style.theme ? style.theme : 'Theme'
+}
 
-  // Create a new tab for this file
-  const tabId = createTab(newFile.id, newFile.name)
+/**
+ * Fill the theme picker with built-in themes and the user's presets
+ */
+function renderSkinMenu() {
+  const themeList = document.getElementById('skin-theme-list')
+  const presetList = document.getElementById('skin-preset-list')
+  if (!themeList || !presetList) return
 
-  if (!tabId) {
-    return
+  const activeDiagramTab = getActiveTab()
+  const style = (activeDiagramTab && activeDiagramTab.style) || {}
+  const thumbnailPrefix = `${currentRenderer}:${getCurrentTheme()}:`
+
+  const themeItem = (name, label) => {
+    const isSelected = (style.theme || '') === name
+    const thumbnail = name ? skinThumbnailUrls.get(thumbnailPrefix + name) : null
+
+    return `
+      <div class="skin-item flex items-center gap-2 px-2 py-1 hover:bg-gray-100 ${isSelected ? 'skin-item-selected' : ''}">
+        <button data-skin-theme="${escapeHtml(name)}" class="flex-1 flex items-center gap-2 text-left cursor-pointer" role="menuitemradio" aria-checked="${isSelected}">
+          <span class="skin-thumb">${name ? `<img data-skin-thumb="${escapeHtml(name)}" alt="" ${thumbnail ? `src="${thumbnail}"` : ''} />` : ''}</span>
+          <span>${escapeHtml(label)}</span>
+        </button>
+        ${name ? `<button data-skin-insert-theme="${escapeHtml(name)}" class="text-xs text-[#1A4F63] hover:underline cursor-pointer" title="Insert !theme ${escapeHtml(name)} into the source">Insert</button>` : ''}
+      </div>
+    `
   }
 
-  // Switch to the new tab
-  switchToTab(tabId)
-  editor.focus()
+  themeList.innerHTML = themeItem('', 'Default (no theme)') +
+    PLANTUML_THEMES.map(name => themeItem(name, name)).join('')
+
+  const presets = getSkinPresets()
+  presetList.innerHTML = presets.length === 0
+    ? '<p class="px-3 py-2 text-xs text-gray-500">No presets yet</p>'
+    : presets.map((preset) => {
+      const isSelected = style.presetId === preset.id
+      return `
+        <div class="skin-item flex items-center gap-2 px-3 py-1 hover:bg-gray-100 ${isSelected ? 'skin-item-selected' : ''}">
+          <button data-skin-preset="${escapeHtml(preset.id)}" class="flex-1 text-left cursor-pointer truncate" role="menuitemcheckbox" aria-checked="${isSelected}" title="${escapeHtml(preset.skinparams)}">${escapeHtml(preset.name)}</button>
+          <button data-skin-insert-preset="${escapeHtml(preset.id)}" class="text-xs text-[#1A4F63] hover:underline cursor-pointer" title="Insert these skinparams into the source">Insert</button>
+          <button data-skin-delete-preset="${escapeHtml(preset.id)}" class="text-xs text-red-600 hover:underline cursor-pointer" title="Delete preset">Delete</button>
+        </div>
+      `
+    }).join('')
 }
 
-// ============================================================================
-// AUTO-SAVE FUNCTIONALITY
-// ============================================================================
-
-// Debounced auto-save (2 second delay)
-const debouncedAutoSave = debounce(() => {
-  const content = editor.getValue()
-  saveDefaultFile(content)
-}, 2000)
+/**
+ * Sample diagram used for a theme's preview thumbnail
+ * @param {string} name - PlantUML theme name
+ * @returns {string} PlantUML source
+ */
+function getThemeSampleSource(name) {
+  return `@startuml\n!theme ${name}\nactor User\nUser -> System: Request\nSystem --> User: Response\n@enduml`
+}
 
 /**
- * Restore editor state from localStorage
- * @returns {boolean} True if state was restored, false otherwise
+ * Keep a theme thumbnail URL, revoking the blob URL it replaces
+ * Thumbnails for another renderer or app theme are dropped first, so only one set is held.
+ * @param {string} prefix - `${renderer}:${theme}:` the thumbnail was rendered for
+ * @param {string} name - PlantUML theme name
+ * @param {string} url - Image URL
  */
-function restoreEditorState() {
-  try {
-    const stateJson = localStorage.getItem(STORAGE_KEYS.EDITOR_STATE)
-    if (!stateJson) {
-      return false
-    }
-
-    const state = JSON.parse(stateJson)
-
-    // Validate state structure
-    if (!state.diagramName || !state.content || !state.timestamp) {
-      console.warn('Invalid editor state structure')
-      localStorage.removeItem(STORAGE_KEYS.EDITOR_STATE)
-      return false
+function setSkinThumbnail(prefix, name, url) {
+  for (const [key, oldUrl] of skinThumbnailUrls) {
+    if (!key.startsWith(prefix) || key === prefix + name) {
+      if (oldUrl.startsWith('blob:')) window.URL.revokeObjectURL(oldUrl)
+      skinThumbnailUrls.delete(key)
     }
+  }
+  skinThumbnailUrls.set(prefix + name, url)
+}
 
-    // Check if diagram still exists
-    const files = getAllFiles()
-    const diagramExists = files.some(f => f.name === state.diagramName)
-
-    if (!diagramExists) {
-      console.warn('Saved diagram no longer exists:', state.diagramName)
-      localStorage.removeItem(STORAGE_KEYS.EDITOR_STATE)
-      return false
+/**
+ * Render the theme thumbnails one at a time while the picker is open
+ * Front-end thumbnails go through the render cache, so they are rendered once.
+ */
+async function renderSkinThumbnails() {
+  const run = ++skinThumbnailRun
+  const appTheme = getCurrentTheme()
+  const prefix = `${currentRenderer}:${appTheme}:`
+  const skinMenu = document.getElementById('skin-menu')
+
+  for (const name of PLANTUML_THEMES) {
+    // Closed or reopened meanwhile
+    if (run !== skinThumbnailRun || skinMenu.classList.contains('hidden')) return
+    if (skinThumbnailUrls.has(prefix + name)) continue
+
+    const source = getThemeSampleSource(name)
+    let url = null
+
+    if (currentRenderer === 'backend') {
+      url = getBackendUrl(source, 'png', appTheme)
+    } else {
+      const key = await getRenderCacheKey(source, 'frontend', 'png', appTheme)
+      let blob = await getCachedRender(key, false)
+      if (!blob) {
+        try {
+          blob = await queueConversion(() => plantuml.renderPng(source, appTheme))
+          putCachedRender(key, blob, false)
+        } catch (error) {
+          console.warn(`Theme '${name}' preview failed:`, error)
+          continue
+        }
+      }
+      // A newer pass took over while this one waited for the converter
+      if (run !== skinThumbnailRun) return
+      url = window.URL.createObjectURL(blob)
     }
 
-    // Restore state
-    editor.setValue(state.content, -1)
-    editor.focus()
-    currentDiagramName = state.diagramName
-    lastSavedContent = state.content
-    updateWindowTitle(state.diagramName)
-
-    return true
-  } catch (error) {
-    console.error('Error restoring editor state:', error)
-    localStorage.removeItem(STORAGE_KEYS.EDITOR_STATE)
-    return false
+    setSkinThumbnail(prefix, name, url)
+    const image = document.querySelector(`#skin-theme-list img[data-skin-thumb="${CSS.escape(name)}"]`)
+    if (image) image.src = url
   }
 }
 
-// Load default file content on startup
-function initializeDefaultFile() {
-  const defaultContent = loadDefaultFile()
-  editor.setValue(defaultContent, -1)
-  editor.focus()
+/**
+ * Toggle the theme picker dropdown
+ */
+function toggleSkinMenu() {
+  const skinMenu = document.getElementById('skin-menu')
+  if (!skinMenu) return
+
+  skinMenu.classList.toggle('hidden')
+  if (!skinMenu.classList.contains('hidden')) {
+    renderSkinMenu()
+    renderSkinThumbnails()
+  }
 }
 
 /**
- * Initialize custom diagram tab system
+ * Close the theme picker dropdown
  */
-function initializeDiagramTabs() {
-  // Create initial tab with default content or restored state
-  const files = getAllFiles()
-  const defaultFile = files.find(f => f.id === 'default')
-
-  if (defaultFile) {
-    const tabId = createTab('default', 'Untitled')
-    if (tabId) {
-      activeTabId = tabId
-    }
+function closeSkinMenu() {
+  const skinMenu = document.getElementById('skin-menu')
+  if (skinMenu) {
+    skinMenu.classList.add('hidden')
   }
-
-  renderTabs()
 }
 
-plantuml.initialize(jarPath).then(() => {
-  // Try to restore editor state
-  const restored = restoreEditorState()
+// ============================================================================
+// MULTI-DIAGRAM FILES (@startuml blocks and newpage pages)
+// ============================================================================
 
-  // Initialize default file content (only if not restored and not loaded from URL)
-  if (!restored && !loadedFromUrl) {
-    initializeDefaultFile()
-  }
+const END_LINE_PATTERN = /^\s*@end\w+/i
+const NEWPAGE_PATTERN = /^\s*newpage\b\s*(.*)$/i
+// Single-line declarations a newpage page still needs from the pages before it
+const PAGE_SETUP_PATTERN = /^\s*(?:!(?:theme|include\w*|import|pragma)\b|skinparam\b[^{]*$|(?:participant|actor|boundary|control|entity|database|collections|queue)\b|autonumber\b|hide\s+footbox\b)/i
 
-  // Initial render
-  if (restored) {
-    // Render the restored diagram
-    debouncedRender()
-  } else {
-    // Initial render for new/loaded content
-    debouncedRender()
+let diagramPagesCache = { content: null, pages: [] }
+let selectedPageIndex = null // page shown in the selector
+
+/**
+ * Split a file into the diagrams (and newpage pages) PlantUML would render
+ * A file with a single page renders as written; otherwise each page is a
+ * stand-alone @start/@end source with a map back to the editor's lines.
+ * @param {string} uml - Whole editor content
+ * @returns {Array<Object>} Pages: { index, label, startRow, endRow, contentRow, text, lineMap }
+ */
+function getDiagramPages(uml) {
+  if (diagramPagesCache.content === uml) return diagramPagesCache.pages
+
+  const lines = uml.split('\n')
+  const pages = []
+  let blockCount = 0
+  let block = null // { startRow, name, endKeyword, setupRows, pageStartRow, pageNumber, pageTitle }
+
+  // endRow: last row of the page; endLineRow: row of its @end line, if it has one
+  const closePage = (endRow, endLineRow) => {
+    const rows = [block.startRow]
+    if (block.pageNumber > 1) {
+      rows.push(...block.setupRows.filter(row => row < block.pageStartRow))
+    }
+    for (let row = block.pageStartRow; row <= endRow; row++) rows.push(row)
+
+    const text = rows.map(row => lines[row])
+    const lineMap = rows.map(row => row + 1)
+    text.push(endLineRow === null ? block.endKeyword : lines[endLineRow])
+    lineMap.push((endLineRow === null ? endRow : endLineRow) + 1)
+
+    const label = [
+      block.name || `Diagram ${block.index + 1}`,
+      block.pageNumber > 1 || endLineRow === null ? `page ${block.pageNumber}` : '',
+      block.pageTitle
+    ].filter(Boolean).join(' · ')
+
+    pages.push({
+      index: pages.length,
+      label: label,
+      startRow: block.pageNumber > 1 ? block.pageStartRow - 1 : block.startRow,
+      endRow: endLineRow === null ? endRow : endLineRow,
+      contentRow: Math.min(block.pageStartRow, lines.length - 1),
+      text: text.join('\n'),
+      lineMap: lineMap
+    })
   }
 
-  // Initialize tab state for mobile
-  initializeTabs()
+  lines.forEach((line, row) => {
+    if (!block) {
+      const start = line.match(/^\s*@start(\w+)\s*(.*)$/i)
+      if (start) {
+        block = {
+          index: blockCount++,
+          startRow: row,
+          name: start[2].replace(/^\(id=|\)$/g, '').trim(),
+          endKeyword: `@end${start[1]}`,
+          setupRows: [],
+          pageStartRow: row + 1,
+          pageNumber: 1,
+          pageTitle: ''
+        }
+      }
+      return
+    }
 
-  // Initialize theme
-  initializeTheme()
+    if (END_LINE_PATTERN.test(line)) {
+      closePage(row - 1, row)
+      block = null
+      return
+    }
 
-  // Initialize renderer
-  initializeRenderer()
+    const newpage = line.match(NEWPAGE_PATTERN)
+    if (newpage) {
+      closePage(row - 1, null)
+      block.pageNumber++
+      block.pageTitle = newpage[1].trim()
+      block.pageStartRow = row + 1
+      return
+    }
 
-  // Initialize AI panel
-  initializeAIPanel()
+    if (PAGE_SETUP_PATTERN.test(line)) block.setupRows.push(row)
+  })
 
-  // Initialize copyright year
-  initializeCopyrightYear()
+  // An unterminated last block still renders up to the end of the file
+  if (block) closePage(lines.length - 1, null)
+
+  // Nothing to split: keep rendering the buffer exactly as written
+  if (pages.length <= 1) {
+    pages.splice(0, pages.length, {
+      index: 0,
+      label: pages.length ? pages[0].label : 'Diagram 1',
+      startRow: 0,
+      endRow: lines.length - 1,
+      contentRow: 0,
+      text: uml,
+      lineMap: null
+    })
+  }
 
-  // Initialize custom diagram tab system
-  initializeDiagramTabs()
+  diagramPagesCache = { content: uml, pages: pages }
+  return pages
+}
 
-  // Attach change listeners
-  editor.session.on('change', function() {
-    debouncedRender()   // Update preview
-    debouncedAutoSave() // Auto-save to default file
-  })
-})
+/**
+ * Find the page that holds an editor row
+ * Rows between diagrams belong to the diagram before them (or the first one).
+ * @param {Array<Object>} pages - From getDiagramPages
+ * @param {number} row - 0-based editor row
+ * @returns {Object} Page
+ */
+function getPageAtRow(pages, row) {
+  let match = pages[0]
+  for (const page of pages) {
+    if (page.startRow > row) break
+    match = page
+  }
+  return match
+}
 
-// Tab element references (must be defined before event listeners)
-const sidePanel = document.querySelector('#sidePanel')
-const mainPanel = document.querySelector('main')
-const tabCode = document.getElementById('tab-code')
-const tabPreview = document.getElementById('tab-preview')
+/**
+ * Map a 1-based line of a page's source back to the editor
+ * @param {Object} page - Page from getDiagramPages
+ * @param {number} line - 1-based line in page.text
+ * @returns {number} 1-based editor line
+ */
+function toEditorLine(page, line) {
+  if (!page.lineMap) return line
+  return page.lineMap[Math.min(Math.max(line, 1), page.lineMap.length) - 1]
+}
 
-// Tab state (must be defined before initializeTabs uses it)
-let activeTab = 'code' // 'code' or 'preview'
+/**
+ * Show the page selector for files with several diagrams or pages
+ * @param {Array<Object>} pages - From getDiagramPages
+ * @param {Object} currentPage - Page being shown
+ */
+function updatePageSelector(pages, currentPage) {
+  const pageSelect = document.getElementById('page-select')
+  if (!pageSelect) return
 
-// Tab switching event listeners
-tabCode.addEventListener('click', () => switchTab('code'))
-tabPreview.addEventListener('click', () => switchTab('preview'))
+  pageSelect.classList.toggle('hidden', pages.length < 2)
+  if (pages.length < 2) return
 
-// Initialize tab state on page load
-function initializeTabs() {
-  // Check screen size
-  if (window.innerWidth <= 810) {
-    // Mobile: start with code tab active, hide preview
-    switchTab('code')
-  } else {
-    // Desktop: ensure both panels visible, reset any hidden states
-    sidePanel.classList.remove('hidden')
-    mainPanel.classList.remove('hidden')
+  const options = pages.map(page => `<option value="${page.index}">${escapeHtml(`${page.index + 1}/${pages.length} ${page.label}`)}</option>`).join('')
+  if (pageSelect.innerHTML !== options) {
+    pageSelect.innerHTML = options
   }
+  pageSelect.value = String(currentPage.index)
+  selectedPageIndex = currentPage.index
 }
 
-// Handle screen resize/orientation changes
-window.addEventListener('resize', () => {
-  const isMobile = window.innerWidth <= 810
+/**
+ * Re-render when the cursor moves into another diagram or page
+ */
+function handleCursorPageChange() {
+  const pages = getDiagramPages(editor.getValue())
+  if (pages.length < 2) return
 
-  if (isMobile && activeTab === 'code') {
-    // Already on code tab, ensure preview is hidden
-    mainPanel.classList.add('hidden')
-  } else if (isMobile && activeTab === 'preview') {
-    // Already on preview tab, ensure code is hidden
-    sidePanel.classList.add('hidden')
-  } else if (!isMobile) {
-    // Switched to desktop: ensure both panels visible
-    sidePanel.classList.remove('hidden')
-    mainPanel.classList.remove('hidden')
+  const page = getPageAtRow(pages, editor.getCursorPosition().row)
+  if (page.index !== selectedPageIndex) {
+    updatePageSelector(pages, page)
+    debouncedRender()
   }
-})
+}
 
-const element = document.querySelector('#right-panel-image-wrapper')
+/**
+ * Move the cursor to a page, which renders it
+ * @param {number} index - Page index
+ */
+function goToPage(index) {
+  const pages = getDiagramPages(editor.getValue())
+  const page = pages[Math.min(Math.max(index, 0), pages.length - 1)]
+  if (!page) return
 
-panzoom(element)
+  editor.gotoLine(page.contentRow + 1, 0, true)
+  editor.focus()
+}
 
-// ============================================================================
-// RESPONSIVE TAB NAVIGATION
-// ============================================================================
+/**
+ * Step to the previous or next page
+ * @param {number} step - -1 or 1
+ */
+function stepPage(step) {
+  const pages = getDiagramPages(editor.getValue())
+  if (pages.length < 2) return
+  goToPage(getPageAtRow(pages, editor.getCursorPosition().row).index + step)
+}
 
-function switchTab(tab) {
-  activeTab = tab
-  let activeTabColor = 'border-[#B0B0B0]'
-  let inactiveTabColor = 'border-transparent'
+function debounce(func, delay = 400) {
+  let timerId
 
-  if (tab === 'code') {
-    // Show code panel, hide preview
-    sidePanel.classList.remove('hidden')
-    mainPanel.classList.add('hidden')
+  return (...args) => {
+    clearTimeout(timerId)
+    timerId = setTimeout(() => {
+      func.apply(this, args)
+    }, delay)
+  };
+}
 
-    // Update tab styles
-    tabCode.classList.add(activeTabColor, 'text-white')
-    tabCode.classList.remove(inactiveTabColor, 'text-gray-400')
-    tabPreview.classList.remove(activeTabColor, 'text-white')
-    tabPreview.classList.add(inactiveTabColor, 'text-gray-400')
+const debouncedRender = debounce(() => _render())
 
-    // Focus editor
-    editor.focus()
-  } else {
-    // Show preview, hide code panel
-    sidePanel.classList.add('hidden')
-    mainPanel.classList.remove('hidden')
+// ============================================================================
+// SOURCE / PREVIEW SYNC (inline SVG only)
+// ============================================================================
 
-    // Update tab styles
-    tabPreview.classList.add(activeTabColor, 'text-white')
-    tabPreview.classList.remove(inactiveTabColor, 'text-gray-400')
-    tabCode.classList.remove(activeTabColor, 'text-white')
-    tabCode.classList.add(inactiveTabColor, 'text-gray-400')
+// Lines that declare an element: keyword, name (quoted or not), optional alias
+const DECLARATION_PATTERN = /^\s*(participant|actor|boundary|control|entity|database|collections|queue|(?:abstract\s+)?class|abstract|interface|enum|annotation|struct|protocol|exception|metaclass|state|usecase|component|node|package|namespace|folder|frame|cloud|rectangle|artifact|card|file|storage|object|map|json|agent|stack|hexagon|person|label)\s+("[^"]+"|[^\s{<"]+)(?:\s+as\s+("[^"]+"|[^\s{<"]+))?/i
 
-    // Auto-render when switching to preview
-    _render()
-  }
-}
+// Attributes PlantUML puts on an element's group, depending on its version
+const SVG_NAME_ATTRIBUTES = ['data-entity', 'data-participant', 'data-qualified-name']
 
-const resizer = document.querySelector('#resizer')
-const sidebar = document.querySelector('#sidebar')
+let previewPointerStart = null // { x, y } of the last pointerdown, to tell clicks from pans
 
-resizer.addEventListener('mousedown', () => {
-  // Only enable on desktop
-  if (window.innerWidth > 810) {
-    document.addEventListener('mousemove', resize, false)
-    document.addEventListener('mouseup', () => {
-      document.removeEventListener('mousemove', resize, false)
-    }, false)
+/**
+ * Read the element declared on a source line
+ * @param {string} line - Source line
+ * @returns {Object|null} { keyword, name, alias } without quotes, or null
+ */
+function parseDeclaration(line) {
+  const match = line.match(DECLARATION_PATTERN)
+  if (!match) return null
+
+  const unquote = (text) => text ? text.replace(/^"|"$/g, '') : null
+  return {
+    keyword: match[1].toLowerCase().replace(/\s+/g, ' '),
+    name: unquote(match[2]),
+    alias: unquote(match[3])
   }
-})
-
-function resize(e) {
-  const x = Math.max(e.x, 200)
-  const size = `${x}px`
-
-  sidebar.style.width = size
-  sidePanel.style.width = size
 }
 
-// ============================================================================
-// FILE MANAGEMENT - LocalStorage Utility Functions
-// ============================================================================
-
-const STORAGE_KEYS = {
-  FILES: 'plantuml-files',
-  DEFAULT: 'plantuml-default',
-  RENDERER: 'plantuml-renderer',
-  THEME: 'plantuml-theme',
-  EDITOR_STATE: 'plantuml_editor_state',
-  AI_PANEL_EXPANDED: 'plantuml-ai-panel-expanded'
+/**
+ * Page under the cursor and the style insertions it was rendered with
+ * @returns {Object} { page, insertions }
+ */
+function getRenderedSourceInfo() {
+  const page = getPageAtRow(getDiagramPages(editor.getValue()), editor.getCursorPosition().row)
+  const activeDiagramTab = getActiveTab()
+  const styled = applyDiagramStyle(page.text, activeDiagramTab ? activeDiagramTab.style : null)
+  return { page: page, insertions: styled.insertions }
 }
 
 /**
- * Get all files from localStorage
- * @returns {Array} Array of file metadata objects
+ * Map a 1-based editor line to the 1-based line of the rendered text (inverse of
+ * toEditorLine and toSourceLine)
+ * @param {number} line - 1-based editor line
+ * @returns {number|null} Rendered line, or null if the page does not include it
  */
-function getAllFiles() {
-  try {
-    const filesJson = localStorage.getItem(STORAGE_KEYS.FILES)
-    return filesJson ? JSON.parse(filesJson) : []
-  } catch (error) {
-    console.error('Error reading files from storage:', error)
-    return []
+function toRenderedLine(line) {
+  const { page, insertions } = getRenderedSourceInfo()
+  const pageLine = page.lineMap ? page.lineMap.indexOf(line) + 1 : line
+  if (pageLine < 1) return null
+
+  let rendered = pageLine
+  for (const { afterLine, count } of insertions) {
+    if (pageLine > afterLine) rendered += count
   }
+  return rendered
 }
 
 /**
- * Save all files metadata to localStorage
- * @param {Array} files - Array of file metadata objects
+ * Name an SVG element group carries
+ * @param {Element} group - SVG <g>
+ * @returns {string|null} Entity name
  */
-function saveAllFiles(files) {
-  try {
-    localStorage.setItem(STORAGE_KEYS.FILES, JSON.stringify(files))
-  } catch (error) {
-    console.error('Error saving files to storage:', error)
-    if (error.name === 'QuotaExceededError') {
-      alert('LocalStorage quota exceeded. Please delete some old files to free up space.')
-    }
+function getSvgElementName(group) {
+  for (const attribute of SVG_NAME_ATTRIBUTES) {
+    if (group.hasAttribute(attribute)) return group.getAttribute(attribute)
   }
+  // Older versions: <g id="elem_Name"> or <g id="entity_Name">
+  const idMatch = (group.id || '').match(/^(?:elem|entity)_(.+)$/)
+  return idMatch ? idMatch[1] : null
 }
 
 /**
- * Save content to the default file
- * @param {string} content - PlantUML content to save
+ * Find the editor row that declares an element, within the previewed page
+ * @param {string} name - Entity name or alias, or the text shown for it
+ * @returns {number|null} 0-based row
  */
-function saveDefaultFile(content) {
-  try {
-    // Save to quick access key
-    localStorage.setItem(STORAGE_KEYS.DEFAULT, content)
-
-    // Update metadata
-    const files = getAllFiles()
-    const now = new Date().toISOString()
-
-    const defaultFileIndex = files.findIndex(f => f.id === 'default')
-
-    if (defaultFileIndex >= 0) {
-      // Update existing default file
-      files[defaultFileIndex].content = content
-      files[defaultFileIndex].lastModified = now
-    } else {
-      // Create default file if it doesn't exist
-      files.unshift({
-        id: 'default',
-        name: 'default',
-        content: content,
-        createdAt: now,
-        lastModified: now
-      })
-    }
-
-    saveAllFiles(files)
-  } catch (error) {
-    console.error('Error saving default file:', error)
+function findDeclarationRow(name) {
+  const { page } = getRenderedSourceInfo()
+  const session = editor.session
+  const lastRow = Math.min(page.endRow, session.getLength() - 1)
+  let firstMention = null
+  const escapedName = name.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')
+  const mention = new RegExp(`(^|[^\\w])${escapedName}([^\\w]|$)`)
+
+  for (let row = page.startRow; row <= lastRow; row++) {
+    const line = session.getLine(row)
+    const declaration = parseDeclaration(line)
+    if (declaration && (declaration.name === name || declaration.alias === name)) return row
+    if (firstMention === null && mention.test(line)) firstMention = row
   }
+  return firstMention
 }
 
 /**
- * Handle Save (Ctrl+S) - Save to current diagram without dialog
+ * Move the editor cursor to the source of a clicked diagram element
+ * @param {MouseEvent} e - Click inside #render-svg
  */
-function handleSave() {
-  const activeDiagramTab = getActiveTab()
+function handlePreviewElementClick(e) {
+  if (isViewMode || e.target.closest('a')) return
+
+  // Panning ends with a click too
+  if (previewPointerStart && Math.hypot(e.clientX - previewPointerStart.x, e.clientY - previewPointerStart.y) > 4) return
+
+  let row = null
+  const sourceGroup = e.target.closest('[data-source-line]')
+  if (sourceGroup) {
+    // PlantUML counts source lines from 0
+    const { page, insertions } = getRenderedSourceInfo()
+    const renderedLine = parseInt(sourceGroup.getAttribute('data-source-line'), 10) + 1
+    if (!Number.isNaN(renderedLine)) {
+      row = toEditorLine(page, toSourceLine(renderedLine, insertions)) - 1
+    }
+  }
 
-  // If no active tab or tab has no file, fallback to Save As
-  if (!activeDiagramTab) {
-    openFilePanel('save')
-    return
+  if (row === null) {
+    const group = e.target.closest('g')
+    let name = null
+    for (let node = group; node && !name && node.id !== 'render-svg'; node = node.parentElement) {
+      if (node.tagName.toLowerCase() === 'g') name = getSvgElementName(node)
+    }
+    if (!name && e.target.tagName.toLowerCase() === 'text') name = e.target.textContent.trim()
+    if (name) row = findDeclarationRow(name)
   }
 
-  const files = getAllFiles()
-  const diagramIndex = files.findIndex(f => f.id === activeDiagramTab.fileId)
+  if (row === null || row < 0) return
 
-  // Validate diagram still exists
-  if (diagramIndex === -1) {
-    showNotification(`Current diagram '${activeDiagramTab.name}' no longer exists`, 'error')
-    closeTab(activeDiagramTab.id)
-    return
+  editor.gotoLine(row + 1, editor.session.getLine(row).search(/\S|$/), true)
+  editor.focus()
+}
+
+/**
+ * Find the SVG elements drawn by an editor line
+ * @param {number} row - 0-based editor row
+ * @returns {Array<Element>} Matching SVG elements
+ */
+function findSvgElementsForRow(row) {
+  const svgElement = document.querySelector('#render-svg:not(.hidden) svg')
+  if (!svgElement) return []
+
+  // Newer PlantUML tags groups with the line that produced them
+  const renderedLine = toRenderedLine(row + 1)
+  if (renderedLine !== null) {
+    const bySourceLine = svgElement.querySelectorAll(`[data-source-line="${renderedLine - 1}"]`)
+    if (bySourceLine.length > 0) return Array.from(bySourceLine)
   }
 
-  const content = editor.getValue()
+  const declaration = parseDeclaration(editor.session.getLine(row))
+  if (!declaration) return []
 
-  // Update file content and timestamp
-  files[diagramIndex].content = content
-  files[diagramIndex].lastModified = new Date().toISOString()
+  const names = [declaration.alias, declaration.name].filter(Boolean)
+  const byName = Array.from(svgElement.querySelectorAll('g')).filter(group => names.includes(getSvgElementName(group)))
+  if (byName.length > 0) return byName
 
+  // Last resort: the group around a label that shows the name
+  return Array.from(svgElement.querySelectorAll('text'))
+    .filter(text => text.textContent.trim() === declaration.name)
+    .map(text => text.closest('g') || text)
+}
+
+/**
+ * Highlight the preview elements for the line under the cursor
+ */
+function highlightCursorElement() {
+  document.querySelectorAll('#render-svg .svg-sync-highlight').forEach((element) => {
+    element.classList.remove('svg-sync-highlight')
+  })
+
+  findSvgElementsForRow(editor.getCursorPosition().row).forEach((element) => {
+    element.classList.add('svg-sync-highlight')
+  })
+}
+
+const debouncedHighlightCursorElement = debounce(highlightCursorElement, 150)
+
+// ============================================================================
+// OUTLINE PANEL
+// ============================================================================
+
+// Declarations listed in the outline, keyword -> group; other keywords are left out
+const OUTLINE_GROUPS = [
+  { label: 'Participants', keywords: ['participant', 'boundary', 'control', 'entity', 'database', 'collections', 'queue'] },
+  { label: 'Actors', keywords: ['actor'] },
+  { label: 'Classes', keywords: ['class', 'abstract class', 'abstract'] },
+  { label: 'Interfaces', keywords: ['interface'] },
+  { label: 'Enums', keywords: ['enum'] },
+  { label: 'States', keywords: ['state'] },
+  { label: 'Use Cases', keywords: ['usecase'] },
+  { label: 'Components', keywords: ['component'] },
+  { label: 'Packages', keywords: ['package', 'namespace'] }
+]
+
+let outlinePanelExpanded = false
+let outlineFilter = ''
+
+/**
+ * Collect the entities declared in a buffer
+ * @param {string} uml - Editor content
+ * @returns {Array<Object>} Entries: { group, name, alias, row, column }
+ */
+function parseOutline(uml) {
+  const entries = []
+
+  uml.split('\n').forEach((line, row) => {
+    const declaration = parseDeclaration(line)
+    if (!declaration) return
+
+    const group = OUTLINE_GROUPS.find(g => g.keywords.includes(declaration.keyword))
+    if (!group) return
+
+    entries.push({
+      group: group.label,
+      name: declaration.name,
+      alias: declaration.alias,
+      row: row,
+      column: line.search(/\S/)
+    })
+  })
+
+  return entries
+}
+
+/**
+ * Rebuild the outline list from the active buffer
+ */
+function updateOutline() {
+  const outlineList = document.getElementById('outline-list')
+  const outlineCount = document.getElementById('outline-count')
+  if (!outlineList || !outlinePanelExpanded) return
+
+  const entries = parseOutline(editor.getValue())
+  const filter = outlineFilter.trim().toLowerCase()
+  const visible = filter
+    ? entries.filter(entry => entry.name.toLowerCase().includes(filter) || (entry.alias && entry.alias.toLowerCase().includes(filter)))
+    : entries
+
+  if (outlineCount) {
+    outlineCount.textContent = filter ? `${visible.length} of ${entries.length}` : String(entries.length)
+  }
+
+  if (visible.length === 0) {
+    outlineList.innerHTML = `<p class="py-2 text-xs text-white/60">${entries.length === 0 ? 'No participants, classes or other declarations' : 'No matches'}</p>`
+    return
+  }
+
+  outlineList.innerHTML = OUTLINE_GROUPS.map((group) => {
+    const groupEntries = visible.filter(entry => entry.group === group.label)
+    if (groupEntries.length === 0) return ''
+
+    return `
+      <div class="mb-2">
+        <p class="text-xs font-semibold uppercase text-white/60">${group.label} (${groupEntries.length})</p>
+        ${groupEntries.map(entry => `
+          <button data-outline-row="${entry.row}" data-outline-column="${entry.column}" class="outline-item w-full flex items-center justify-between gap-2 px-2 py-0.5 rounded text-left hover:bg-white/10 cursor-pointer">
+            <span class="truncate">${escapeHtml(entry.name)}${entry.alias ? ` <span class="text-white/50">as ${escapeHtml(entry.alias)}</span>` : ''}</span>
+            <span class="text-xs text-white/50 font-mono">${entry.row + 1}</span>
+          </button>
+        `).join('')}
+      </div>
+    `
+  }).join('')
+}
+
+const debouncedUpdateOutline = debounce(updateOutline, 300)
+
+/**
+ * Initialize outline panel state from localStorage (collapsed by default)
+ */
+function initializeOutlinePanel() {
   try {
-    saveAllFiles(files)
+    outlinePanelExpanded = localStorage.getItem(STORAGE_KEYS.OUTLINE_EXPANDED) === 'true'
+  } catch (error) {
+    console.error('Error reading outline panel state:', error)
+    outlinePanelExpanded = false
+  }
+  updateOutlinePanelState()
+}
 
-    // Compare content with last saved content
-    if (content !== lastSavedContent) {
-      showNotification(`Saved to '${activeDiagramTab.name}'`, 'success')
-      lastSavedContent = content
+/**
+ * Toggle outline panel expanded/collapsed state
+ */
+function toggleOutlinePanel() {
+  outlinePanelExpanded = !outlinePanelExpanded
+  try {
+    localStorage.setItem(STORAGE_KEYS.OUTLINE_EXPANDED, outlinePanelExpanded.toString())
+  } catch (error) {
+    console.error('Error saving outline panel state:', error)
+  }
+  updateOutlinePanelState()
+}
+
+/**
+ * Update outline panel visual state, refreshing the list when it opens
+ */
+function updateOutlinePanelState() {
+  const outlinePanel = document.getElementById('outline-panel')
+  if (!outlinePanel) return
+
+  outlinePanel.classList.toggle('collapsed', !outlinePanelExpanded)
+  document.getElementById('outline-panel-toggle').setAttribute('aria-expanded', String(outlinePanelExpanded))
+  updateOutline()
+}
+
+/**
+ * Move the editor cursor to an outline entry
+ * @param {number} row - 0-based row
+ * @param {number} column - Column of the declaration
+ */
+function jumpToOutlineEntry(row, column) {
+  editor.gotoLine(row + 1, column, true)
+  editor.focus()
+}
+
+// ============================================================================
+// THEME TOGGLER
+// ============================================================================
+
+/**
+ * Get the current app theme
+ * @returns {string} 'light' or 'dark'
+ */
+function getCurrentTheme() {
+  return document.documentElement.getAttribute('data-theme') === 'dark' ? 'dark' : 'light'
+}
+
+/**
+ * Initialize theme based on saved preference or system preference
+ */
+function initializeTheme() {
+  try {
+    const savedTheme = localStorage.getItem(STORAGE_KEYS.THEME);
+    const prefersDark = window.matchMedia('(prefers-color-scheme: dark)').matches;
+    const currentTheme = savedTheme || (prefersDark ? 'dark' : 'light');
+    document.documentElement.setAttribute('data-theme', currentTheme);
+    updateThemeIcon(currentTheme);
+  } catch (error) {
+    console.error('Error reading theme preference:', error);
+    const prefersDark = window.matchMedia('(prefers-color-scheme: dark)').matches;
+    const currentTheme = prefersDark ? 'dark' : 'light';
+    document.documentElement.setAttribute('data-theme', currentTheme);
+    updateThemeIcon(currentTheme);
+  }
+}
+
+/**
+ * Initialize renderer preference from localStorage or default
+ */
+function initializeRenderer() {
+  try {
+    const savedRenderer = localStorage.getItem(STORAGE_KEYS.RENDERER);
+    currentRenderer = savedRenderer || 'frontend';
+  } catch (error) {
+    console.error('Error reading renderer preference:', error);
+    currentRenderer = 'frontend';
+  }
+  updateRendererIcon(currentRenderer);
+}
+
+/**
+ * Initialize output format preference from localStorage or default
+ */
+function initializeFormat() {
+  try {
+    const savedFormat = localStorage.getItem(STORAGE_KEYS.FORMAT);
+    currentFormat = savedFormat === 'svg' ? 'svg' : 'png';
+  } catch (error) {
+    console.error('Error reading output format preference:', error);
+    currentFormat = 'png';
+  }
+  updateFormatIcon(currentFormat);
+}
+
+/**
+ * Initialize save mode preference from localStorage or default
+ */
+function initializeSaveMode() {
+  try {
+    const savedMode = localStorage.getItem(STORAGE_KEYS.SAVE_MODE);
+    currentSaveMode = savedMode === 'manual' ? 'manual' : 'auto';
+  } catch (error) {
+    console.error('Error reading save mode preference:', error);
+    currentSaveMode = 'auto';
+  }
+  updateSaveModeLabel(currentSaveMode);
+}
+
+/**
+ * Check if the AI backend is properly configured
+ * @returns {boolean} True if VITE_BACKEND_BASE_URL is configured and non-empty
+ */
+function isBackendConfigured() {
+  const backendUrl = import.meta.env.VITE_BACKEND_BASE_URL;
+  return Boolean(backendUrl && backendUrl.trim() !== '');
+}
+
+/**
+ * Check if user is authenticated with Firebase
+ * @returns {boolean} True if user is logged in
+ */
+function isAuthenticated() {
+  return Boolean(window.auth && window.auth.currentUser);
+}
+
+/**
+ * Handle Google sign-in with popup
+ * @returns {Promise<void>}
+ */
+async function handleLogin() {
+  console.log('handleLogin called, auth available:', !!window.auth);
+
+  if (!window.auth) {
+    showNotification('Firebase not initialized. Please refresh the page.', 'error');
+    console.error('Firebase auth not available');
+    return;
+  }
+
+  try {
+    const provider = new GoogleAuthProvider();
+    provider.addScope('email');
+    provider.addScope('profile');
+
+    console.log('Starting Google sign-in flow...');
+    await signInWithPopup(window.auth, provider);
+    console.log('Sign-in successful');
+    showNotification('Successfully signed in!', 'success');
+  } catch (error) {
+    console.error('Login error - code:', error.code, 'message:', error.message, 'full error:', error);
+
+    // Provide specific error messages based on error code
+    if (error.code === 'auth/popup-blocked') {
+      showNotification('Please enable popups to sign in with Google', 'error');
+    } else if (error.code === 'auth/popup-closed-by-user') {
+      showNotification('Sign-in was cancelled', 'error');
+    } else if (error.code === 'auth/unauthorized-domain') {
+      showNotification('This domain is not authorized for sign-in. Please contact the administrator.', 'error');
+    } else if (error.code === 'auth/quota-exceeded') {
+      showNotification('Too many sign-in attempts. Please try again later.', 'error');
+    } else if (error.code === 'auth/configuration-not-found') {
+      showNotification('Firebase configuration error. Please contact the administrator.', 'error');
+    } else {
+      showNotification(`Failed to sign in: ${error.message || 'Unknown error'}`, 'error');
     }
+  }
+}
+
+/**
+ * Handle sign-out
+ * @returns {Promise<void>}
+ */
+async function handleLogout() {
+  try {
+    await signOut(window.auth);
+    showNotification('Signed out successfully', 'success');
+  } catch (error) {
+    console.error('Logout error:', error);
+    showNotification('Failed to sign out. Please try again.', 'error');
+  }
+}
+
+// ============================================================================
+// AI PANEL STATE
+// ============================================================================
+
+let aiPanelExpanded = true;
+let generateAbortController = null;
 
-    // Save editor state for refresh recovery
-    const editorState = {
-      diagramName: activeDiagramTab.name,
-      content: content,
-      timestamp: Date.now()
+/**
+ * Initialize AI panel state from localStorage or default
+ */
+function initializeAIPanel() {
+  // Check if backend is configured
+  if (!isBackendConfigured()) {
+    // Hide the AI panel completely if backend is not configured
+    const aiPanel = document.getElementById('ai-panel');
+    if (aiPanel) {
+      aiPanel.classList.add('hidden');
     }
-    localStorage.setItem(STORAGE_KEYS.EDITOR_STATE, JSON.stringify(editorState))
+    // Don't initialize state or attach event listeners
+    return;
+  }
 
-    // Update window title (keep it static)
-    updateWindowTitle(null)
+  // Backend is configured, proceed with normal initialization
+  try {
+    const savedState = localStorage.getItem(STORAGE_KEYS.AI_PANEL_EXPANDED);
+    aiPanelExpanded = savedState !== 'false'; // Default to true
   } catch (error) {
-    console.error('Error saving diagram:', error)
-    showNotification('Failed to save diagram', 'error')
+    console.error('Error reading AI panel state:', error);
+    aiPanelExpanded = true;
+  }
+  updateAIPanelState();
+
+  // Set up authentication state listener and update initial UI state
+  if (window.auth) {
+    onAuthStateChanged(window.auth, () => {
+      updateAuthUI();
+    });
+
+    // Update UI immediately to set initial state
+    updateAuthUI();
   }
 }
 
 /**
- * Load content from the default file
- * @returns {string} Content of the default file
+ * Toggle AI panel expanded/collapsed state
  */
-function loadDefaultFile() {
+function toggleAIPanel() {
+  aiPanelExpanded = !aiPanelExpanded;
   try {
-    return localStorage.getItem(STORAGE_KEYS.DEFAULT) || '@startuml\nBob -> Alice: Hello!\n@enduml'
+    localStorage.setItem(STORAGE_KEYS.AI_PANEL_EXPANDED, aiPanelExpanded.toString());
   } catch (error) {
-    console.error('Error loading default file:', error)
-    return '@startuml\nBob -> Alice: Hello!\n@enduml'
+    console.error('Error saving AI panel state:', error);
+  }
+  updateAIPanelState();
+}
+
+/**
+ * Update AI panel visual state based on current state
+ */
+function updateAIPanelState() {
+  const aiPanel = document.getElementById('ai-panel');
+  const chevron = document.getElementById('ai-panel-chevron');
+
+  if (!aiPanel || !chevron) return;
+
+  if (aiPanelExpanded) {
+    aiPanel.classList.remove('collapsed');
+    chevron.style.transform = 'rotate(0deg)';
+  } else {
+    aiPanel.classList.add('collapsed');
+    chevron.style.transform = 'rotate(-90deg)';
   }
 }
 
 /**
- * Create a new snapshot file
- * @param {string} name - Name for the new file
- * @param {string} content - Content to save
- * @returns {Object|null} Created file object or null if failed
+ * Update authentication UI state based on current auth state
+ */
+function updateAuthUI() {
+  const authRequired = document.getElementById('ai-auth-required');
+  const authenticated = document.getElementById('ai-authenticated');
+  const userInfo = document.getElementById('user-info');
+  const logoutBtn = document.getElementById('btn-logout');
+
+  // Defensive check - ensure all elements exist
+  if (!authRequired || !authenticated || !userInfo || !logoutBtn) {
+    return;
+  }
+
+  try {
+    if (isAuthenticated()) {
+      // User is logged in
+      authRequired.classList.add('hidden');
+      authenticated.classList.remove('hidden');
+
+      // Show user info
+      const user = window.auth.currentUser;
+      const displayName = user.displayName || user.email || 'User';
+      userInfo.textContent = displayName;
+      userInfo.classList.remove('hidden');
+      logoutBtn.classList.remove('hidden');
+
+      // Enable generate button if textarea has content
+      const generateBtn = document.getElementById('btn-generate');
+      const aiPromptTextarea = document.getElementById('ai-prompt-textarea');
+      if (generateBtn && aiPromptTextarea) {
+        const hasContent = aiPromptTextarea.value.trim().length > 0;
+        generateBtn.disabled = !hasContent;
+      }
+    } else {
+      // User is not logged in
+      authRequired.classList.remove('hidden');
+      authenticated.classList.add('hidden');
+      userInfo.classList.add('hidden');
+      logoutBtn.classList.add('hidden');
+
+      // Disable generate button
+      const generateBtn = document.getElementById('btn-generate');
+      if (generateBtn) {
+        generateBtn.disabled = true;
+      }
+    }
+  } catch (error) {
+    console.error('Error updating auth UI:', error);
+  }
+}
+
+/**
+ * Generate PlantUML code using AI service
+ * Requires user to be authenticated with Firebase
+ * @param {string} prompt - User's natural language prompt
+ * @param {AbortSignal} signal - AbortSignal for cancellation
+ * @returns {Promise<void>}
+ */
+async function generatePlantUML(prompt, signal) {
+  // Check if user is authenticated
+  if (!isAuthenticated()) {
+    throw new Error('Please sign in to use AI generation');
+  }
+
+  const backendBaseUrl = import.meta.env.VITE_BACKEND_BASE_URL || 'http://localhost:8081';
+
+  try {
+    // Get Firebase ID token
+    const makeRequest = async (forceRefresh = false) => {
+      const currentToken = await window.auth.currentUser.getIdToken(forceRefresh);
+      return await fetch(`${backendBaseUrl}/generate`, {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+          'Authorization': `Bearer ${currentToken}`
+        },
+        body: JSON.stringify({ prompt }),
+        signal
+      });
+    };
+
+    let response = await makeRequest();
+
+    // Handle 401 Unauthorized - try to refresh token and retry once
+    if (response.status === 401) {
+      console.log('Token expired, attempting refresh...');
+      try {
+        response = await makeRequest(true); // Force refresh token
+      } catch (retryError) {
+        throw new Error('Authentication failed. Please sign in again.');
+      }
+    }
+
+    if (!response.ok) {
+      // Handle HTTP errors
+      if (response.status === 400) {
+        const errorData = await response.json().catch(() => ({ message: 'Invalid request' }));
+        throw new Error(errorData.message || 'Invalid prompt. Please try again.');
+      } else if (response.status === 401) {
+        throw new Error('Authentication failed. Please sign in again.');
+      } else if (response.status === 500) {
+        throw new Error('Server error. Please try again later.');
+      } else {
+        throw new Error(`Request failed with status ${response.status}`);
+      }
+    }
+
+    const data = await response.json();
+
+    if (data.status === 'success' && data.data && data.data.plantuml) {
+      // Success: update editor with generated PlantUML code
+      editor.setValue(data.data.plantuml, -1); // -1 moves cursor to start
+    } else {
+      throw new Error('Invalid response format from server');
+    }
+  } catch (error) {
+    // Handle errors
+    if (error.name === 'AbortError') {
+      // User cancelled the request - don't show error
+      console.log('Generation request cancelled by user');
+      throw error; // Re-throw to let caller handle cancellation
+    } else if (error.message) {
+      throw error; // Re-throw to let caller display notification
+    } else {
+      throw new Error('Network error. Please check your connection and try again.');
+    }
+  }
+}
+
+/**
+ * Show loading modal and store abort controller
+ * @param {AbortController} controller - AbortController for cancelling the request
+ */
+function showGenerateLoadingModal(controller) {
+  generateAbortController = controller;
+  const modal = document.getElementById('generate-loading-modal');
+  if (modal) {
+    modal.classList.remove('hidden');
+  }
+}
+
+/**
+ * Close loading modal and cleanup abort controller
+ */
+function closeGenerateLoadingModal() {
+  const modal = document.getElementById('generate-loading-modal');
+  if (modal) {
+    modal.classList.add('hidden');
+  }
+  generateAbortController = null;
+}
+
+/**
+ * Cancel the generation request
+ */
+function cancelGeneration() {
+  if (generateAbortController) {
+    generateAbortController.abort();
+    generateAbortController = null;
+  }
+  closeGenerateLoadingModal();
+}
+
+/**
+ * Initialize copyright year with current year
+ */
+function initializeCopyrightYear() {
+  const copyrightYearSpan = document.getElementById('copyright-year');
+  if (copyrightYearSpan) {
+    copyrightYearSpan.textContent = new Date().getFullYear();
+  }
+}
+
+/**
+ * Set theme and update icon
+ * @param {string} theme - 'light' or 'dark'
+ */
+function setTheme(theme) {
+  document.documentElement.setAttribute('data-theme', theme);
+  try {
+    localStorage.setItem(STORAGE_KEYS.THEME, theme);
+  } catch (error) {
+    console.error('Error saving theme preference:', error);
+  }
+  updateThemeIcon(theme);
+  debouncedRender(); // Diagrams render natively in the theme's colors
+}
+
+/**
+ * Toggle between front-end and back-end renderers
+ */
+function toggleRenderer() {
+  currentRenderer = currentRenderer === 'frontend' ? 'backend' : 'frontend';
+  try {
+    localStorage.setItem(STORAGE_KEYS.RENDERER, currentRenderer);
+  } catch (error) {
+    console.error('Error saving renderer preference:', error);
+  }
+  updateRendererIcon(currentRenderer);
+  debouncedRender(); // Re-render with new renderer
+}
+
+/**
+ * Toggle between PNG and SVG output
+ */
+function toggleFormat() {
+  currentFormat = currentFormat === 'png' ? 'svg' : 'png';
+  try {
+    localStorage.setItem(STORAGE_KEYS.FORMAT, currentFormat);
+  } catch (error) {
+    console.error('Error saving output format preference:', error);
+  }
+  updateFormatIcon(currentFormat);
+  debouncedRender(); // Re-render in the new format
+}
+
+/**
+ * Toggle between auto-saving edits into the file and saving only on Ctrl+S
+ */
+function toggleSaveMode() {
+  currentSaveMode = currentSaveMode === 'auto' ? 'manual' : 'auto';
+  try {
+    localStorage.setItem(STORAGE_KEYS.SAVE_MODE, currentSaveMode);
+  } catch (error) {
+    console.error('Error saving save mode preference:', error);
+  }
+  updateSaveModeLabel(currentSaveMode);
+  showNotification(currentSaveMode === 'auto' ? 'Auto-save on' : 'Auto-save off: press Ctrl+S to save', 'success');
+
+  // Catch up on edits made while auto-save was off
+  if (currentSaveMode === 'auto') {
+    debouncedAutoSave();
+  }
+}
+
+/**
+ * Update theme toggle button icon
+ * @param {string} theme - 'light' or 'dark'
+ */
+function updateThemeIcon(theme) {
+  const themeIcon = document.getElementById('theme-icon')
+  if (!themeIcon) return
+
+  if (theme === 'dark') {
+    // Show sun icon (clicking will switch to light)
+    themeIcon.innerHTML = `
+      <svg xmlns="http://www.w3.org/2000/svg" class="h-4 w-4" fill="none" viewBox="0 0 24 24" stroke="currentColor">
+        <path stroke-linecap="round" stroke-linejoin="round" stroke-width="2" d="M12 3v1m0 16v1m9-9h-1M4 12H3m15.364 6.364l-.707-.707M6.343 6.343l-.707-.707m12.728 0l-.707.707M6.343 17.657l-.707.707M16 12a4 4 0 11-8 0 4 4 0 018 0z" />
+      </svg>
+    `
+  } else {
+    // Show moon icon (clicking will switch to dark)
+    themeIcon.innerHTML = `
+      <svg xmlns="http://www.w3.org/2000/svg" class="h-4 w-4" fill="none" viewBox="0 0 24 24" stroke="currentColor">
+        <path stroke-linecap="round" stroke-linejoin="round" stroke-width="2" d="M20.354 15.354A9 9 0 018.646 3.646 9.003 9.003 0 0012 21a9.003 9.003 0 008.354-5.646z" />
+      </svg>
+    `
+  }
+}
+
+/**
+ * Update renderer toggle button icon
+ * @param {string} renderer - 'frontend' or 'backend'
+ */
+function updateRendererIcon(renderer) {
+  const rendererIcon = document.getElementById('renderer-icon');
+  if (!rendererIcon) return;
+
+  if (renderer === 'backend') {
+    // Show server/backend icon
+    rendererIcon.innerHTML = `
+      <svg xmlns="http://www.w3.org/2000/svg" class="h-4 w-4" fill="none" viewBox="0 0 24 24" stroke="currentColor">
+        <path stroke-linecap="round" stroke-linejoin="round" stroke-width="2" d="M5 12h14M5 12a2 2 0 01-2-2V6a2 2 0 012-2h14a2 2 0 012 2v4a2 2 0 01-2 2M5 12a2 2 0 00-2 2v4a2 2 0 002 2h14a2 2 0 002-2v-4a2 2 0 00-2-2m-2-4h.01M17 16h.01" />
+      </svg>
+    `;
+  } else {
+    // Show client/front-end icon
+    rendererIcon.innerHTML = `
+      <svg xmlns="http://www.w3.org/2000/svg" class="h-4 w-4" fill="none" viewBox="0 0 24 24" stroke="currentColor">
+        <path stroke-linecap="round" stroke-linejoin="round" stroke-width="2" d="M9.75 17L9 20l-1 1h8l-1-1-.75-3M3 13h18M5 17h14a2 2 0 002-2V5a2 2 0 00-2-2H5a2 2 0 00-2 2v10a2 2 0 002 2z" />
+      </svg>
+    `;
+  }
+}
+
+/**
+ * Update output format toggle button label
+ * @param {string} format - 'png' or 'svg'
+ */
+function updateFormatIcon(format) {
+  const formatLabel = document.getElementById('format-label');
+  if (!formatLabel) return;
+
+  formatLabel.textContent = format.toUpperCase();
+}
+
+/**
+ * Update save mode toggle button label
+ * @param {string} mode - 'auto' or 'manual'
+ */
+function updateSaveModeLabel(mode) {
+  const saveModeLabel = document.getElementById('save-mode-label');
+  if (!saveModeLabel) return;
+
+  saveModeLabel.textContent = mode === 'auto' ? 'AUTO' : 'MANUAL';
+}
+
+/**
+ * Update window title (always static now)
+ * @param {string} diagramName - Ignored, kept for backward compatibility
+ */
+function updateWindowTitle(_diagramName) {
+  document.title = 'PlantUML Editor'
+}
+
+// ============================================================================
+// CUSTOM TAB SYSTEM FOR MULTIPLE DIAGRAMS
+// ============================================================================
+
+/**
+ * Generate a unique tab ID
+ * @returns {string} Unique tab ID
+ */
+function generateTabId() {
+  return 'tab-' + Date.now() + '-' + Math.random().toString(36).substring(2, 11)
+}
+
+/**
+ * Create a new tab
+ * @param {string} fileId - Storage file ID
+ * @param {string} name - Tab display name
+ * @returns {string} New tab ID
+ */
+function createTab(fileId, name) {
+  if (tabs.length >= MAX_TABS) {
+    showNotification(`Maximum tab limit (${MAX_TABS}) reached`, 'error')
+    return null
+  }
+
+  const tabId = generateTabId()
+  const newTab = {
+    id: tabId,
+    fileId: fileId,
+    name: name,
+    isUnsaved: false,
+    savedContent: null, // Content as last saved, to compare the session against
+    fileHandle: null, // FileSystemFileHandle when the diagram is linked to a file on disk
+    session: null, // Ace EditSession, created on first activation
+    lastRender: null, // { content, renderer, format, source, error }
+    style: null, // { theme, presetId } applied on top of the source, mirrors file.style
+    previewView: null, // { x, y, scale } pan/zoom of the preview
+    viewState: null // { cursor, scrollTop } restored from the last session, applied on activation
+  }
+
+  tabs.push(newTab)
+  debouncedSaveOpenTabs()
+  return tabId
+}
+
+/**
+ * Switch to a different tab
+ * @param {string} tabId - ID of tab to switch to
+ */
+async function switchToTab(tabId) {
+  const tab = tabs.find(t => t.id === tabId)
+  if (!tab) {
+    console.error('Tab not found:', tabId)
+    return
+  }
+
+  // In auto-save mode, save current tab content before switching
+  if (activeTabId && currentSaveMode === 'auto') {
+    const currentTab = tabs.find(t => t.id === activeTabId)
+    // A file with an open conflict prompt waits for the user's choice
+    if (currentTab && currentTab.session && !openConflicts.has(currentTab.fileId)) {
+      // Save current content to the tab's file (from its own session, since
+      // closeTab may already have moved activeTabId off the editor's session)
+      const content = currentTab.session.getValue()
+      if (await updateFileContent(currentTab.fileId, content) && !currentTab.fileHandle) {
+        currentTab.savedContent = content
+        currentTab.isUnsaved = false
+      }
+    }
+  }
+
+  // Load new tab's content
+  const file = await getFile(tab.fileId)
+
+  if (!tab.session) {
+    tab.session = ace.createEditSession(file ? file.content : '', 'ace/mode/plantuml')
+    tab.savedContent = file ? file.content : ''
+
+    if (tab.viewState) {
+      const { cursor, scrollTop } = tab.viewState
+      if (cursor) tab.session.selection.moveCursorTo(cursor.row, cursor.column)
+      tab.session.setScrollTop(scrollTop || 0)
+      tab.viewState = null
+    }
+  } else if (file && !tab.isUnsaved && file.content !== tab.session.getValue()) {
+    // Changed elsewhere (e.g. an import) since this tab was last active;
+    // replace through the document so the change can still be undone
+    tab.session.getDocument().setValue(file.content)
+    tab.savedContent = file.content
+  }
+
+  if (file) {
+    currentDiagramName = file.name
+  }
+  tab.style = file ? file.style || null : null
+  lastSavedContent = tab.savedContent
+
+  // Swapping sessions keeps undo history, cursor, selection, scroll and folds
+  editor.setSession(tab.session)
+
+  // Update active tab
+  activeTabId = tabId
+
+  // Re-render tabs
+  renderTabs()
+  updateSkinLabel()
+  applyPreviewView(tab.previewView)
+  showTabRender(tab)
+  debouncedSaveOpenTabs()
+}
+
+/**
+ * Close a tab
+ * @param {string} tabId - ID of tab to close
+ */
+function closeTab(tabId) {
+  const tabIndex = tabs.findIndex(t => t.id === tabId)
+  if (tabIndex === -1) return
+
+  // Don't allow closing the last tab
+  if (tabs.length === 1) {
+    showNotification('Cannot close the last tab', 'error')
+    return
+  }
+
+  const wasActive = tabId === activeTabId
+  const tab = tabs[tabIndex]
+
+  if (tab.isUnsaved) {
+    if (currentSaveMode === 'auto' && !tab.fileHandle) {
+      // Auto-save just has not caught up yet
+      updateFileContent(tab.fileId, tab.session.getValue())
+    } else if (!confirm(`'${tab.name}' has unsaved changes. Close it anyway?`)) {
+      return
+    }
+  }
+
+  // Remove the tab
+  const [closedTab] = tabs.splice(tabIndex, 1)
+
+  // If we closed the active tab, switch to another
+  if (wasActive) {
+    const newActiveIndex = Math.min(tabIndex, tabs.length - 1)
+    activeTabId = tabs[newActiveIndex].id
+    switchToTab(activeTabId).then(() => {
+      if (closedTab.session) closedTab.session.destroy()
+    })
+  } else {
+    if (closedTab.session) closedTab.session.destroy()
+    renderTabs()
+  }
+
+  debouncedSaveOpenTabs()
+}
+
+/**
+ * Save the open tab set, including each tab's cursor, for the next session
+ */
+function saveOpenTabs() {
+  const activeDiagramTab = getActiveTab()
+
+  saveOpenTabsState({
+    tabs: tabs.map(tab => {
+      // Tabs never activated this session still carry their restored position
+      const viewState = tab.session
+        ? { cursor: tab.session.selection.getCursor(), scrollTop: tab.session.getScrollTop() }
+        : tab.viewState || {}
+
+      return {
+        fileId: tab.fileId,
+        cursor: viewState.cursor ? { row: viewState.cursor.row, column: viewState.cursor.column } : null,
+        scrollTop: viewState.scrollTop || 0,
+        previewView: tab.previewView
+      }
+    }),
+    activeFileId: activeDiagramTab ? activeDiagramTab.fileId : null
+  })
+}
+
+const debouncedSaveOpenTabs = debounce(saveOpenTabs, 500)
+
+/**
+ * Reopen the tabs saved by the last session, dropping tabs whose file was deleted
+ * @returns {Promise<string|null>} ID of the tab to activate, or null if nothing was restored
+ */
+async function restoreOpenTabs() {
+  const state = await getOpenTabsState()
+  if (!state || !Array.isArray(state.tabs)) return null
+
+  let tabToActivate = null
+  for (const saved of state.tabs) {
+    const file = await getFile(saved.fileId)
+    if (!file) {
+      console.warn('Dropping tab for deleted diagram:', saved.fileId)
+      continue
+    }
+    if (tabs.some(t => t.fileId === file.id)) continue
+
+    const tabId = createTab(file.id, file.name)
+    if (!tabId) break
+
+    const tab = tabs.find(t => t.id === tabId)
+    tab.fileHandle = file.fileHandle || null
+    tab.viewState = { cursor: saved.cursor, scrollTop: saved.scrollTop }
+    tab.previewView = saved.previewView || null
+
+    if (file.id === state.activeFileId || !tabToActivate) tabToActivate = tabId
+  }
+
+  return tabToActivate
+}
+
+/**
+ * Get the active tab object
+ * @returns {Object|null} Active tab object or null
+ */
+function getActiveTab() {
+  return tabs.find(t => t.id === activeTabId) || null
+}
+
+/**
+ * Record content as saved for the active tab and refresh its dirty marker
+ * @param {string} content - Content that was just written
+ */
+function markSaved(content) {
+  lastSavedContent = content
+  updateUnsavedState()
+}
+
+/**
+ * Compare the active tab against its last saved content and update the tab strip
+ */
+function updateUnsavedState() {
+  const activeDiagramTab = getActiveTab()
+  if (!activeDiagramTab) return
+
+  activeDiagramTab.savedContent = lastSavedContent
+  const isUnsaved = editor.getValue() !== lastSavedContent
+  if (activeDiagramTab.isUnsaved !== isUnsaved) {
+    activeDiagramTab.isUnsaved = isUnsaved
+    renderTabs()
+  }
+}
+
+/**
+ * Point the active tab at a different stored file (after Save As)
+ * @param {Object} file - File the tab now edits
+ */
+function bindActiveTabToFile(file) {
+  const activeDiagramTab = getActiveTab()
+  if (!activeDiagramTab) return
+
+  activeDiagramTab.fileId = file.id
+  activeDiagramTab.name = file.name
+  activeDiagramTab.fileHandle = file.fileHandle || null
+  renderTabs()
+  debouncedSaveOpenTabs()
+}
+
+/**
+ * Render the tab strip UI
+ */
+function renderTabs() {
+  const tabsContainer = document.getElementById('diagram-tabs')
+  if (!tabsContainer) return
+
+  if (tabs.length === 0) {
+    tabsContainer.innerHTML = ''
+    return
+  }
+
+  tabsContainer.innerHTML = tabs.map(tab => {
+    const isActive = tab.id === activeTabId
+    const activeClass = isActive ? 'tab-active' : 'tab-inactive'
+    const unsavedMarker = tab.isUnsaved ? '<span class="tab-unsaved" title="Unsaved changes">●</span>' : ''
+
+    return `
+      <div class="diagram-tab ${activeClass}" data-tab-id="${tab.id}" draggable="true">
+        <span class="tab-name"${tab.fileHandle ? ` title="Linked to ${escapeHtml(tab.fileHandle.name)}"` : ''}>${escapeHtml(tab.name)}</span>
+        ${unsavedMarker}
+        <button class="tab-close" onclick="closeTab('${tab.id}')" title="Close tab">×</button>
+      </div>
+    `
+  }).join('')
+}
+
+// Make closeTab globally accessible for onclick handlers
+window.closeTab = closeTab
+
+// Add click event delegation for tabs
+document.addEventListener('DOMContentLoaded', () => {
+  const tabsContainer = document.getElementById('diagram-tabs')
+  if (tabsContainer) {
+    tabsContainer.addEventListener('click', (e) => {
+      const tab = e.target.closest('.diagram-tab')
+      if (tab && !e.target.classList.contains('tab-close')) {
+        const tabId = tab.getAttribute('data-tab-id')
+        if (tabId) {
+          switchToTab(tabId)
+        }
+      }
+    })
+
+    // Middle-click closes a tab
+    tabsContainer.addEventListener('mousedown', (e) => {
+      // Keep the browser's middle-click autoscroll from starting
+      if (e.button === 1 && e.target.closest('.diagram-tab')) e.preventDefault()
+    })
+    tabsContainer.addEventListener('auxclick', (e) => {
+      const tab = e.target.closest('.diagram-tab')
+      if (tab && e.button === 1) {
+        e.preventDefault()
+        closeTab(tab.getAttribute('data-tab-id'))
+      }
+    })
+
+    // Double-click renames the diagram
+    tabsContainer.addEventListener('dblclick', (e) => {
+      const tab = e.target.closest('.diagram-tab')
+      if (tab && !e.target.classList.contains('tab-close')) {
+        renameTab(tab.getAttribute('data-tab-id'))
+      }
+    })
+
+    tabsContainer.addEventListener('contextmenu', (e) => {
+      const tab = e.target.closest('.diagram-tab')
+      if (tab) {
+        e.preventDefault()
+        openTabContextMenu(tab.getAttribute('data-tab-id'), e.clientX, e.clientY)
+      }
+    })
+
+    // Drag and drop reordering
+    tabsContainer.addEventListener('dragstart', (e) => {
+      const tab = e.target.closest('.diagram-tab')
+      if (!tab) return
+      draggedTabId = tab.getAttribute('data-tab-id')
+      e.dataTransfer.effectAllowed = 'move'
+      e.dataTransfer.setData('text/plain', tab.querySelector('.tab-name').textContent)
+    })
+
+    tabsContainer.addEventListener('dragover', (e) => {
+      const tab = e.target.closest('.diagram-tab')
+      if (!draggedTabId || !tab) return
+      e.preventDefault()
+      e.dataTransfer.dropEffect = 'move'
+      clearTabDropMarkers()
+      tab.classList.add(isDropAfter(tab, e.clientX) ? 'tab-drop-after' : 'tab-drop-before')
+    })
+
+    tabsContainer.addEventListener('drop', (e) => {
+      const tab = e.target.closest('.diagram-tab')
+      if (!draggedTabId || !tab) return
+      e.preventDefault()
+      moveTab(draggedTabId, tab.getAttribute('data-tab-id'), isDropAfter(tab, e.clientX))
+    })
+
+    tabsContainer.addEventListener('dragend', () => {
+      draggedTabId = null
+      clearTabDropMarkers()
+    })
+  }
+
+  const tabContextMenu = document.getElementById('tab-context-menu')
+  if (tabContextMenu) {
+    tabContextMenu.addEventListener('click', (e) => {
+      const item = e.target.closest('[data-tab-action]')
+      if (item) {
+        handleTabAction(item.getAttribute('data-tab-action'), tabContextMenu.getAttribute('data-tab-id'))
+      }
+    })
+  }
+
+  // Click outside to dismiss the tab context menu
+  document.addEventListener('click', (e) => {
+    if (!e.target.closest('#tab-context-menu')) {
+      closeTabContextMenu()
+    }
+  })
+})
+
+// ============================================================================
+// TAB STRIP ACTIONS
+// ============================================================================
+
+let draggedTabId = null // Tab being dragged in the tab strip
+
+/**
+ * Whether a drop at clientX lands after the middle of a tab
+ * @param {HTMLElement} tabElement - Tab under the pointer
+ * @param {number} clientX - Pointer position
+ * @returns {boolean} True to insert after the tab
+ */
+function isDropAfter(tabElement, clientX) {
+  const rect = tabElement.getBoundingClientRect()
+  return clientX > rect.left + rect.width / 2
+}
+
+/**
+ * Remove drop position markers from all tabs
+ */
+function clearTabDropMarkers() {
+  document.querySelectorAll('.tab-drop-before, .tab-drop-after').forEach((tab) => {
+    tab.classList.remove('tab-drop-before', 'tab-drop-after')
+  })
+}
+
+/**
+ * Move a tab next to another tab
+ * @param {string} tabId - Tab to move
+ * @param {string} targetTabId - Tab to drop next to
+ * @param {boolean} after - Insert after the target instead of before
+ */
+function moveTab(tabId, targetTabId, after) {
+  clearTabDropMarkers()
+  if (tabId === targetTabId) return
+
+  const fromIndex = tabs.findIndex(t => t.id === tabId)
+  if (fromIndex === -1) return
+
+  const [movedTab] = tabs.splice(fromIndex, 1)
+  const targetIndex = tabs.findIndex(t => t.id === targetTabId)
+  tabs.splice(targetIndex === -1 ? tabs.length : targetIndex + (after ? 1 : 0), 0, movedTab)
+
+  renderTabs()
+  debouncedSaveOpenTabs()
+}
+
+/**
+ * Switch to the next or previous tab, wrapping around
+ * @param {number} direction - 1 for next, -1 for previous
+ */
+function cycleTab(direction) {
+  if (tabs.length < 2) return
+
+  const index = tabs.findIndex(t => t.id === activeTabId)
+  const nextIndex = (index + direction + tabs.length) % tabs.length
+  switchToTab(tabs[nextIndex].id)
+}
+
+/**
+ * Rename a tab's diagram, updating the file in storage
+ * @param {string} tabId - Tab to rename
+ */
+async function renameTab(tabId) {
+  const tab = tabs.find(t => t.id === tabId)
+  if (!tab) return
+
+  if (tab.fileId === 'default') {
+    showNotification('Use Save As (Ctrl+Shift+S) to name this diagram', 'error')
+    return
+  }
+
+  const input = prompt('Rename diagram:', tab.name)
+  if (input === null) return
+
+  const name = input.trim()
+  const validation = validateFileName(name)
+  if (!validation.valid) {
+    showNotification(validation.error, 'error')
+    return
+  }
+  if (name === tab.name) return
+
+  const existingFile = await findFileByName(name)
+  if (existingFile && existingFile.id !== tab.fileId) {
+    showNotification(`A diagram named '${name}' already exists`, 'error')
+    return
+  }
+
+  const file = await getFile(tab.fileId)
+  if (!file) {
+    showNotification(`Diagram '${tab.name}' no longer exists`, 'error')
+    return
+  }
+
+  file.name = name
+  file.lastModified = new Date().toISOString()
+  if (!(await putFile(file))) return
+
+  // Every tab showing this file follows the rename
+  tabs.filter(t => t.fileId === file.id).forEach((t) => { t.name = name })
+  if (tab.id === activeTabId) currentDiagramName = name
+
+  renderTabs()
+  if (!fileModal.classList.contains('hidden')) {
+    await renderFileList()
+  }
+}
+
+/**
+ * Duplicate a tab's diagram into a new file and open it next to the original
+ * @param {string} tabId - Tab to duplicate
+ */
+async function duplicateTab(tabId) {
+  const tab = tabs.find(t => t.id === tabId)
+  if (!tab) return
+
+  const file = await getFile(tab.fileId)
+  const content = tab.session ? tab.session.getValue() : (file ? file.content : '')
+
+  let name = `${tab.name} (copy)`
+  for (let n = 2; await findFileByName(name); n++) {
+    name = `${tab.name} (copy ${n})`
+  }
+
+  const newFile = await saveFile(name, content)
+  if (!newFile) {
+    showNotification('Failed to duplicate diagram', 'error')
+    return
+  }
+
+  // Keep the copy in the same folder with the same tags
+  if (file && (file.folder || file.tags)) {
+    if (file.folder) newFile.folder = file.folder
+    if (file.tags) newFile.tags = [...file.tags]
+    await putFile(newFile)
+  }
+
+  const newTabId = createTab(newFile.id, newFile.name)
+  if (!newTabId) return
+
+  moveTab(newTabId, tabId, true)
+  await switchToTab(newTabId)
+}
+
+/**
+ * Close every tab except one
+ * @param {string} tabId - Tab to keep
+ */
+async function closeOtherTabs(tabId) {
+  if (tabId !== activeTabId) {
+    await switchToTab(tabId)
+  }
+
+  tabs.filter(t => t.id !== tabId).forEach(t => closeTab(t.id))
+}
+
+/**
+ * Close every tab to the right of one
+ * @param {string} tabId - Last tab to keep
+ */
+async function closeTabsToRight(tabId) {
+  const index = tabs.findIndex(t => t.id === tabId)
+  if (index === -1) return
+
+  const rightTabs = tabs.slice(index + 1)
+  if (rightTabs.some(t => t.id === activeTabId)) {
+    await switchToTab(tabId)
+  }
+
+  rightTabs.forEach(t => closeTab(t.id))
+}
+
+/**
+ * Show a tab's diagram in the Open dialog, expanding its folder
+ * @param {string} tabId - Tab to reveal
+ */
+async function revealTabInFiles(tabId) {
+  const tab = tabs.find(t => t.id === tabId)
+  if (!tab) return
+
+  const file = await getFile(tab.fileId)
+  if (!file) {
+    showNotification(`Diagram '${tab.name}' no longer exists`, 'error')
+    return
+  }
+
+  // Make sure nothing hides the file: search, tag filter or collapsed folders
+  fileSearchInput.value = ''
+  activeTagFilter = null
+  const segments = normalizeFolderPath(file.folder).split('/').filter(Boolean)
+  segments.forEach((_, i) => collapsedFolders.delete(segments.slice(0, i + 1).join('/')))
+
+  await openFilePanel('open')
+
+  const fileItem = fileListContainer.querySelector(`.file-item[data-file-id="${CSS.escape(file.id)}"]`)
+  if (fileItem) {
+    fileItem.scrollIntoView({ block: 'nearest' })
+    fileItem.classList.add('file-item-revealed')
+    setTimeout(() => fileItem.classList.remove('file-item-revealed'), 1500)
+  }
+}
+
+/**
+ * Show the tab context menu at the pointer
+ * @param {string} tabId - Tab that was right-clicked
+ * @param {number} x - Pointer X (viewport)
+ * @param {number} y - Pointer Y (viewport)
+ */
+function openTabContextMenu(tabId, x, y) {
+  const menu = document.getElementById('tab-context-menu')
+  if (!menu) return
+
+  const index = tabs.findIndex(t => t.id === tabId)
+  menu.setAttribute('data-tab-id', tabId)
+  menu.querySelector('[data-tab-action="close-others"]').disabled = tabs.length < 2
+  menu.querySelector('[data-tab-action="close-right"]').disabled = index === tabs.length - 1
+
+  menu.classList.remove('hidden')
+
+  // Keep the menu inside the viewport
+  const rect = menu.getBoundingClientRect()
+  menu.style.left = `${Math.min(x, window.innerWidth - rect.width - 4)}px`
+  menu.style.top = `${Math.min(y, window.innerHeight - rect.height - 4)}px`
+
+  const firstItem = menu.querySelector('button:not(:disabled)')
+  if (firstItem) firstItem.focus()
+}
+
+/**
+ * Close the tab context menu
+ */
+function closeTabContextMenu() {
+  const menu = document.getElementById('tab-context-menu')
+  if (menu) {
+    menu.classList.add('hidden')
+  }
+}
+
+/**
+ * Run a tab context menu action
+ * @param {string} action - 'duplicate', 'close-others', 'close-right' or 'reveal'
+ * @param {string} tabId - Tab the menu was opened for
+ */
+function handleTabAction(action, tabId) {
+  closeTabContextMenu()
+
+  switch (action) {
+    case 'duplicate':
+      duplicateTab(tabId)
+      break
+    case 'close-others':
+      closeOtherTabs(tabId)
+      break
+    case 'close-right':
+      closeTabsToRight(tabId)
+      break
+    case 'reveal':
+      revealTabInFiles(tabId)
+      break
+  }
+}
+
+const jarPath = "/app" + pathname + "jar"
+
+// ============================================================================
+// SHARE FUNCTIONALITY
+// ============================================================================
+
+// Browsers typically support ~2000-8000 chars
+const MAX_SAFE_URL_LENGTH = 6000
+
+/**
+ * Encode PlantUML content for a share link, the way the PlantUML server does
+ * (raw deflate, then PlantUML's base64 alphabet)
+ * @param {string} text - PlantUML text to encode
+ * @returns {string} Encoded string, including the format prefix
+ */
+function encodePlantuml(text) {
+  const compressed = pako.deflateRaw(new TextEncoder().encode(text))
+  return SHARE_DEFLATE_PREFIX + encode64(compressed)
+}
+
+/**
+ * Decode PlantUML content from a share link
+ * @param {string} encoded - Text after '#/': deflate-encoded or legacy URL-safe base64
+ * @returns {string} Decoded PlantUML text
+ */
+function decodePlantuml(encoded) {
+  if (encoded.startsWith(SHARE_DEFLATE_PREFIX)) {
+    const compressed = decode64(encoded.substring(SHARE_DEFLATE_PREFIX.length))
+    return new TextDecoder().decode(pako.inflateRaw(compressed))
+  }
+
+  // Restore base64 format
+  let base64 = encoded.replace(/-/g, '+').replace(/_/g, '/')
+  // Add padding if needed
+  while (base64.length % 4) {
+    base64 += '='
+  }
+  // Decode
+  const utf8Bytes = atob(base64)
+  return decodeURIComponent(utf8Bytes.split('').map(c => {
+    return '%' + ('00' + c.charCodeAt(0).toString(16)).slice(-2)
+  }).join(''))
+}
+
+/**
+ * Generate shareable URL with encoded PlantUML content
+ * @param {boolean} viewOnly - Link to the read-only viewer instead of the editor
+ * @returns {string} Full shareable URL
+ */
+function generateShareUrl(viewOnly = false) {
+  // Check if editor exists
+  if (!editor || typeof editor.getValue !== 'function') {
+    console.error('Editor not initialized')
+    return null
+  }
+
+  // The recipient has no copy of the file's theme or preset, so they go into the source
+  const activeDiagramTab = getActiveTab()
+  const plantumlContent = applyDiagramStyle(editor.getValue(), activeDiagramTab ? activeDiagramTab.style : null).text
+  const encoded = encodePlantuml(plantumlContent)
+  const baseUrl = window.location.origin + window.location.pathname
+  const fullUrl = `${baseUrl}#/${viewOnly ? SHARE_VIEW_PREFIX : ''}${encoded}`
+
+  // The share modal warns about this too
+  if (fullUrl.length > MAX_SAFE_URL_LENGTH) {
+    console.warn(`Generated URL is ${fullUrl.length} characters. Some browsers may have issues with URLs over ${MAX_SAFE_URL_LENGTH} characters.`)
+  }
+
+  return fullUrl
+}
+
+/**
+ * Build the embed snippets for the current diagram
+ * Images come from the PlantUML server, in light mode and with the applied theme.
+ * @param {string} viewerUrl - Link to the diagram in the read-only viewer
+ * @returns {Object} { shortUrl, imageUrl, markdown, html, iframe }
+ */
+function generateEmbedSnippets(viewerUrl) {
+  const activeDiagramTab = getActiveTab()
+  const styledUml = applyDiagramStyle(editor.getValue(), activeDiagramTab ? activeDiagramTab.style : null).text
+  const imageUrl = getBackendUrl(styledUml, currentFormat === 'svg' ? 'svg' : 'png')
+  const title = currentDiagramName || 'PlantUML diagram'
+  const attributeTitle = escapeHtml(title).replace(/"/g, '&quot;')
+
+  return {
+    // The PlantUML server's own editor link: same encoding, without this app's URL and prefix
+    shortUrl: getBackendUrl(styledUml, 'uml'),
+    imageUrl: imageUrl,
+    markdown: `![${title.replace(/[[\]]/g, '\\$&')}](${imageUrl})`,
+    html: `<img src="${imageUrl}" alt="${attributeTitle}" />`,
+    iframe: `<iframe src="${viewerUrl}" title="${attributeTitle}" width="800" height="600" style="border: 0;"></iframe>`
+  }
+}
+
+/**
+ * Pick an unused name for a shared diagram, from its @startuml id or title
+ * @param {string} content - Shared PlantUML source
+ * @param {Array<Object>} files - Stored files
+ * @returns {string} Name not used by any stored file
+ */
+function getSharedDiagramName(content, files) {
+  const startMatch = content.match(/^\s*@start[a-z]+(?:[ \t]+|\(id=)([^)\n]+?)\)?[ \t]*$/im)
+  const titleMatch = content.match(/^\s*title[ \t]+(.+?)[ \t]*$/im)
+  const baseName = (startMatch && startMatch[1]) || (titleMatch && titleMatch[1]) || 'Shared Diagram'
+
+  const names = new Set(files.map(f => f.name))
+  let name = baseName
+  for (let n = 2; names.has(name) || name === 'default'; n++) {
+    name = `${baseName} (${n})`
+  }
+  return name
+}
+
+/**
+ * Open a diagram from a share link in a new tab, leaving the open tabs alone
+ * @param {string} content - Shared PlantUML source
+ */
+async function openSharedDiagram(content) {
+  // Opening the same link twice (even after closing its tab or a reload) should not pile up copies
+  const existingTab = tabs.find(t => t.session && t.session.getValue() === content)
+  const files = existingTab ? [] : await getAllFiles()
+  const storedFile = files.find(f => f.id !== 'default' && f.content === content)
+  const storedTab = storedFile && tabs.find(t => t.fileId === storedFile.id)
+
+  if (existingTab || storedTab) {
+    await switchToTab((existingTab || storedTab).id)
+  } else {
+    const file = storedFile || await saveFile(getSharedDiagramName(content, files), content)
+    if (!file) {
+      showNotification('Failed to open shared diagram', 'error')
+      return
+    }
+
+    const tabId = createTab(file.id, file.name)
+    if (tabId) {
+      await switchToTab(tabId)
+    } else {
+      showNotification(`Shared diagram saved as '${file.name}'; close a tab to open it`, 'error')
+    }
+  }
+
+  // A reload should not import the link again
+  history.replaceState(null, '', window.location.pathname + window.location.search)
+}
+
+/**
+ * Start the read-only viewer: only the rendered diagram, with pan/zoom
+ */
+function initializeViewer() {
+  initializeTheme()
+  initializeRenderer()
+  initializeFormat()
+  editor.on('changeSelection', handleCursorPageChange)
+  debouncedRender()
+}
+
+/**
+ * Leave the viewer for the editor, which opens the diagram in a new tab
+ */
+function openViewerInEditor() {
+  history.replaceState(null, '', generateShareUrl())
+  window.location.reload()
+}
+
+/**
+ * Copy text to clipboard using modern Clipboard API
+ * @param {string} text - Text to copy
+ * @returns {Promise<boolean>} True if successful, false otherwise
+ */
+async function copyToClipboard(text) {
+  try {
+    await navigator.clipboard.writeText(text)
+    return true
+  } catch (error) {
+    console.error('Failed to copy to clipboard:', error)
+    return false
+  }
+}
+
+// Track auto-dismiss timer to prevent race conditions
+let notificationTimer = null
+
+/**
+ * Show share notification modal with URL
+ * @param {string} url - Shareable URL
+ * @param {boolean} copySuccess - Whether clipboard copy succeeded
+ */
+function showShareNotification(url, copySuccess = true) {
+  const shareModal = document.getElementById('share-modal')
+  const shareUrlInput = document.getElementById('share-url')
+  const successMessage = document.getElementById('share-success-message')
+  const errorMessage = document.getElementById('share-error-message')
+  const lengthWarning = document.getElementById('share-length-warning')
+
+  // Set URL in input
+  shareUrlInput.value = url
+
+  const viewerUrl = generateShareUrl(true)
+  document.getElementById('share-view-url').value = viewerUrl
+
+  const embeds = generateEmbedSnippets(viewerUrl)
+  document.getElementById('share-short-url').value = embeds.shortUrl
+  document.getElementById('share-image-url').value = embeds.imageUrl
+  document.getElementById('share-embed-markdown').value = embeds.markdown
+  document.getElementById('share-embed-html').value = embeds.html
+  document.getElementById('share-embed-iframe').value = embeds.iframe
+
+  if (url.length > MAX_SAFE_URL_LENGTH) {
+    lengthWarning.textContent = `This link is ${url.length} characters long. Some browsers and chat apps cut off links over ${MAX_SAFE_URL_LENGTH} characters; consider exporting the diagram instead.`
+    lengthWarning.classList.remove('hidden')
+  } else {
+    lengthWarning.classList.add('hidden')
+  }
+
+  // Show appropriate message
+  if (copySuccess) {
+    successMessage.classList.remove('hidden')
+    errorMessage.classList.add('hidden')
+  } else {
+    successMessage.classList.add('hidden')
+    errorMessage.classList.remove('hidden')
+    // Auto-select text for manual copy if clipboard failed
+    shareUrlInput.select()
+  }
+
+  // Show modal; it stays open so the embed snippets can be copied
+  shareModal.classList.remove('hidden')
+}
+
+/**
+ * Close share modal
+ */
+function closeShareModal() {
+  const shareModal = document.getElementById('share-modal')
+  shareModal.classList.add('hidden')
+}
+
+/**
+ * Show notification message in bottom-left corner
+ * @param {string} message - Notification message to display
+ * @param {string} type - Notification type: 'success' or 'error'
+ */
+function showNotification(message, type = 'success') {
+  const notification = document.getElementById('notification')
+  const notificationMessage = document.getElementById('notification-message')
+
+  if (!notification || !notificationMessage) {
+    console.error('Notification elements not found')
+    return
+  }
+
+  // Clear any existing timer to prevent race conditions
+  if (notificationTimer !== null) {
+    clearTimeout(notificationTimer)
+    notificationTimer = null
+  }
+
+  // Set message
+  notificationMessage.textContent = message
+
+  // Set styling based on type
+  const notificationDiv = notification.querySelector('div')
+  if (type === 'success') {
+    notificationDiv.className = 'px-4 py-3 rounded-lg shadow-lg flex items-center gap-2 bg-green-100 text-green-800'
+  } else if (type === 'error') {
+    notificationDiv.className = 'px-4 py-3 rounded-lg shadow-lg flex items-center gap-2 bg-red-100 text-red-800'
+  } else {
+    notificationDiv.className = 'px-4 py-3 rounded-lg shadow-lg flex items-center gap-2 bg-gray-100 text-gray-800'
+  }
+
+  // Show notification
+  notification.classList.remove('hidden')
+
+  // Auto-dismiss after 3 seconds
+  notificationTimer = setTimeout(() => {
+    notification.classList.add('hidden')
+    notificationTimer = null
+  }, 3000)
+}
+
+/**
+ * Handle share button click - orchestrate share flow
+ */
+async function handleShare() {
+  const url = generateShareUrl()
+
+  // Check if URL generation failed
+  if (!url) {
+    alert('Unable to generate share link. Please try again.')
+    return
+  }
+
+  const copySuccess = await copyToClipboard(url)
+  showShareNotification(url, copySuccess)
+}
+
+/**
+ * Handle New button click - create a new diagram with name prompt
+ */
+async function handleNew() {
+
+  // Prompt for diagram name
+  const diagramName = prompt('Enter a name for the new diagram:', 'Untitled Diagram')
+
+  // Cancel if user cancels or enters empty name
+  if (!diagramName || diagramName.trim() === '') {
+    return
+  }
+
+  // Create a new file in storage
+  const newFile = await saveFile(diagramName.trim(), DEFAULT_TEMPLATE)
+
+  if (!newFile) {
+    showNotification('Failed to create new diagram', 'error')
+    return
+  }
+
+  // Create a new tab for this file
+  const tabId = createTab(newFile.id, newFile.name)
+
+  if (!tabId) {
+    return
+  }
+
+  // Switch to the new tab
+  await switchToTab(tabId)
+  editor.focus()
+}
+
+// ============================================================================
+// AUTO-SAVE FUNCTIONALITY
+// ============================================================================
+
+// Debounced auto-save (2 second delay)
+const debouncedAutoSave = debounce(async () => {
+  const content = editor.getValue()
+  const activeDiagramTab = getActiveTab()
+
+  if (!activeDiagramTab) {
+    await saveDefaultFile(content)
+    return
+  }
+
+  // While a conflict prompt is up, writing would broadcast "mine" before the user chose
+  if (currentSaveMode === 'auto' && !openConflicts.has(activeDiagramTab.fileId)) {
+    let saved = true
+    if (activeDiagramTab.fileId === 'default') {
+      await saveDefaultFile(content)
+    } else {
+      saved = Boolean(await updateFileContent(activeDiagramTab.fileId, content))
+    }
+
+    // Files on disk are only written by an explicit save
+    if (saved && !activeDiagramTab.fileHandle && activeDiagramTab === getActiveTab()) {
+      markSaved(content)
+    }
+  }
+
+  // Time-based history snapshot of whatever the active tab holds (also in
+  // manual mode, so unsaved work can be recovered from history)
+  recordRevision(activeDiagramTab.fileId, content, 'auto')
+}, 2000)
+
+/**
+ * Restore editor state from storage
+ * @returns {Promise<boolean>} True if state was restored, false otherwise
+ */
+async function restoreEditorState() {
+  try {
+    const state = await getEditorState()
+    if (!state) {
+      return false
+    }
+
+    // Validate state structure
+    if (!state.diagramName || !state.content || !state.timestamp) {
+      console.warn('Invalid editor state structure')
+      await clearEditorState()
+      return false
+    }
+
+    // Check if diagram still exists
+    const diagramExists = Boolean(await findFileByName(state.diagramName))
+
+    if (!diagramExists) {
+      console.warn('Saved diagram no longer exists:', state.diagramName)
+      await clearEditorState()
+      return false
+    }
+
+    // Restore state
+    editor.setValue(state.content, -1)
+    editor.focus()
+    currentDiagramName = state.diagramName
+    markSaved(state.content)
+    updateWindowTitle(state.diagramName)
+
+    return true
+  } catch (error) {
+    console.error('Error restoring editor state:', error)
+    await clearEditorState()
+    return false
+  }
+}
+
+// Load default file content on startup
+async function initializeDefaultFile() {
+  const defaultContent = await loadDefaultFile()
+  editor.setValue(defaultContent, -1)
+  markSaved(defaultContent)
+  editor.focus()
+}
+
+/**
+ * Initialize custom diagram tab system
+ * @returns {Promise<boolean>} True if the saved tab set was restored into the editor
+ */
+async function initializeDiagramTabs() {
+  // Reopen the tabs from the last session
+  const restoredTabId = await restoreOpenTabs()
+
+  if (restoredTabId) {
+    await switchToTab(restoredTabId)
+    return true
+  }
+
+  // First start: the editor's own session holds the content, bound to the default file
+  const defaultFile = await getFile('default')
+
+  if (defaultFile) {
+    let defaultTab = tabs.find(t => t.fileId === 'default')
+    if (!defaultTab) {
+      const tabId = createTab('default', 'Untitled')
+      defaultTab = tabId ? tabs.find(t => t.id === tabId) : null
+    }
+
+    if (defaultTab) {
+      defaultTab.session = editor.session
+      defaultTab.viewState = null
+      activeTabId = defaultTab.id
+    }
+  }
+
+  renderTabs()
+  return false
+}
+
+plantuml.initialize(jarPath).then(async () => {
+  if (isViewMode) {
+    initializeViewer()
+    return
+  }
+
+  // Initialize custom diagram tab system (reopens the last session's tabs)
+  const tabsRestored = await initializeDiagramTabs()
+
+  // Otherwise try to restore editor state
+  const restored = tabsRestored || await restoreEditorState()
+
+  // Initialize default file content (only if not restored)
+  if (!restored) {
+    await initializeDefaultFile()
+  }
+
+  // A shared link opens in its own tab, after the session is back
+  if (sharedDiagram) {
+    await openSharedDiagram(sharedDiagram.content)
+  }
+
+  // Initial render
+  if (restored) {
+    // Render the restored diagram
+    debouncedRender()
+  } else {
+    // Initial render for new/loaded content
+    debouncedRender()
+  }
+
+  // Initialize tab state for mobile
+  initializeTabs()
+
+  // Initialize theme
+  initializeTheme()
+
+  // Initialize renderer
+  initializeRenderer()
+
+  // Initialize output format
+  initializeFormat()
+
+  // Initialize save mode
+  initializeSaveMode()
+
+  // Initialize export theme
+  initializeExportTheme()
+
+  // Initialize AI panel
+  initializeAIPanel()
+
+  // Initialize outline panel
+  initializeOutlinePanel()
+
+  // Initialize copyright year
+  initializeCopyrightYear()
+
+  // Attach change listeners (the editor forwards changes from whichever tab session is active)
+  editor.on('change', function() {
+    debouncedRender()     // Update preview
+    debouncedUpdateOutline() // Update outline
+    debouncedAutoSave()   // Auto-save to the tab's file
+    updateUnsavedState()  // Dirty marker in the tab strip
+  })
+  updateUnsavedState()
+
+  // Remember cursor positions for the next session
+  editor.on('changeSelection', debouncedSaveOpenTabs)
+  // The preview follows the cursor between diagrams in the file
+  editor.on('changeSelection', handleCursorPageChange)
+  // ...and highlights what the line under the cursor draws
+  editor.on('changeSelection', debouncedHighlightCursorElement)
+  // Switching tabs swaps the session without a change event
+  editor.on('changeSession', debouncedUpdateOutline)
+  window.addEventListener('pagehide', saveOpenTabs)
+
+  // Warn before leaving with unsaved tabs
+  window.addEventListener('beforeunload', (e) => {
+    updateUnsavedState()
+    if (tabs.some(t => t.isUnsaved)) {
+      e.preventDefault()
+      e.returnValue = ''
+    }
+  })
+})
+
+// Tab element references (must be defined before event listeners)
+const sidePanel = document.querySelector('#sidePanel')
+const mainPanel = document.querySelector('main')
+const tabCode = document.getElementById('tab-code')
+const tabPreview = document.getElementById('tab-preview')
+
+// Tab state (must be defined before initializeTabs uses it)
+let activeTab = 'code' // 'code' or 'preview'
+
+// Tab switching event listeners
+tabCode.addEventListener('click', () => switchTab('code'))
+tabPreview.addEventListener('click', () => switchTab('preview'))
+
+// Initialize tab state on page load
+function initializeTabs() {
+  // Check screen size
+  if (window.innerWidth <= 810) {
+    // Mobile: start with code tab active, hide preview
+    switchTab('code')
+  } else {
+    // Desktop: ensure both panels visible, reset any hidden states
+    sidePanel.classList.remove('hidden')
+    mainPanel.classList.remove('hidden')
+  }
+}
+
+// Handle screen resize/orientation changes
+window.addEventListener('resize', () => {
+  const isMobile = window.innerWidth <= 810
+
+  if (isMobile && activeTab === 'code') {
+    // Already on code tab, ensure preview is hidden
+    mainPanel.classList.add('hidden')
+  } else if (isMobile && activeTab === 'preview') {
+    // Already on preview tab, ensure code is hidden
+    sidePanel.classList.add('hidden')
+  } else if (!isMobile) {
+    // Switched to desktop: ensure both panels visible
+    sidePanel.classList.remove('hidden')
+    mainPanel.classList.remove('hidden')
+  }
+})
+
+// ============================================================================
+// PREVIEW VIEWER (pan/zoom)
+// ============================================================================
+
+const PREVIEW_ZOOM_STEP = 1.25
+const PREVIEW_FIT_PADDING = 16 // px kept free around a fitted diagram
+
+const previewWrapper = document.querySelector('#right-panel-image-wrapper')
+const previewPanzoom = panzoom(previewWrapper, {
+  minZoom: 0.05,
+  maxZoom: 20
+})
+
+// Each tab keeps its own view, so re-renders and tab switches do not reset it
+previewPanzoom.on('transform', () => {
+  const activeDiagramTab = getActiveTab()
+  if (activeDiagramTab) {
+    const { x, y, scale } = previewPanzoom.getTransform()
+    activeDiagramTab.previewView = { x, y, scale }
+    debouncedSaveOpenTabs()
+  }
+  updatePreviewZoomLevel()
+})
+
+/**
+ * Element currently showing the diagram (inline SVG or image)
+ * @returns {HTMLElement} #render-svg's <svg> or #render-image
+ */
+function getPreviewContent() {
+  const renderSvg = document.getElementById('render-svg')
+  const svgElement = renderSvg && !renderSvg.classList.contains('hidden') ? renderSvg.querySelector('svg') : null
+  return svgElement || document.getElementById('render-image')
+}
+
+/**
+ * How much the layout already scales the diagram (images shrink to fit the panel)
+ * @returns {number} Untransformed on-screen size / natural size
+ */
+function getPreviewLayoutScale() {
+  const content = getPreviewContent()
+  if (content.tagName === 'IMG' && content.naturalWidth > 0 && content.offsetWidth > 0) {
+    return content.offsetWidth / content.naturalWidth
+  }
+  return 1
+}
+
+/**
+ * Show the zoom level relative to the diagram's actual size
+ */
+function updatePreviewZoomLevel() {
+  const zoomLevel = document.getElementById('preview-zoom-level')
+  if (!zoomLevel) return
+
+  const { scale } = previewPanzoom.getTransform()
+  zoomLevel.textContent = `${Math.round(scale * getPreviewLayoutScale() * 100)}%`
+}
+
+/**
+ * Apply a saved pan/zoom, or the default view when there is none
+ * @param {Object|null} view - { x, y, scale }
+ */
+function applyPreviewView(view) {
+  const { x, y, scale } = view || { x: 0, y: 0, scale: 1 }
+  previewPanzoom.zoomAbs(0, 0, scale)
+  previewPanzoom.moveTo(x, y)
+}
+
+/**
+ * Zoom around the centre of the preview panel
+ * @param {number} ratio - Scale multiplier
+ */
+function zoomPreviewBy(ratio) {
+  const owner = previewWrapper.parentElement
+  previewPanzoom.smoothZoom(owner.clientWidth / 2, owner.clientHeight / 2, ratio)
+}
+
+/**
+ * Zoom to an absolute scale, keeping the centre of the panel in place
+ * @param {number} scale - Target transform scale
+ */
+function zoomPreviewTo(scale) {
+  const owner = previewWrapper.parentElement
+  previewPanzoom.zoomAbs(owner.clientWidth / 2, owner.clientHeight / 2, scale)
+}
+
+/**
+ * Scale the diagram to the panel's width, or to the whole panel
+ * @param {boolean} wholePage - Fit both width and height instead of width only
+ */
+function fitPreview(wholePage) {
+  const owner = previewWrapper.parentElement
+  const content = getPreviewContent()
+  const { x, y, scale } = previewPanzoom.getTransform()
+
+  const ownerRect = owner.getBoundingClientRect()
+  const wrapperRect = previewWrapper.getBoundingClientRect()
+  const contentRect = content.getBoundingClientRect()
+  if (contentRect.width === 0 || contentRect.height === 0 || ownerRect.width === 0) return
+
+  // Untransformed positions: the wrapper's place in the panel, the diagram's
+  // place and size inside the wrapper (the transform origin is the wrapper's corner)
+  const wrapperLeft = wrapperRect.left - ownerRect.left - x
+  const wrapperTop = wrapperRect.top - ownerRect.top - y
+  const contentLeft = (contentRect.left - wrapperRect.left) / scale
+  const contentTop = (contentRect.top - wrapperRect.top) / scale
+  const contentWidth = contentRect.width / scale
+  const contentHeight = contentRect.height / scale
+
+  const availableWidth = owner.clientWidth - PREVIEW_FIT_PADDING * 2
+  const availableHeight = owner.clientHeight - wrapperTop - PREVIEW_FIT_PADDING
+  const fitScale = wholePage
+    ? Math.min(availableWidth / contentWidth, availableHeight / contentHeight)
+    : availableWidth / contentWidth
+
+  const targetLeft = (owner.clientWidth - contentWidth * fitScale) / 2
+  const targetTop = wholePage
+    ? wrapperTop + Math.max((availableHeight - contentHeight * fitScale) / 2, 0)
+    : wrapperTop
+
+  previewPanzoom.zoomAbs(0, 0, fitScale)
+  previewPanzoom.moveTo(
+    targetLeft - wrapperLeft - contentLeft * fitScale,
+    targetTop - wrapperTop - contentTop * fitScale
+  )
+}
+
+/**
+ * Run a preview toolbar action
+ * @param {string} action - zoom-in, zoom-out, fit-width, fit-page, actual-size or reset
+ */
+function handlePreviewAction(action) {
+  switch (action) {
+    case 'zoom-in':
+      zoomPreviewBy(PREVIEW_ZOOM_STEP)
+      break
+    case 'zoom-out':
+      zoomPreviewBy(1 / PREVIEW_ZOOM_STEP)
+      break
+    case 'fit-width':
+      fitPreview(false)
+      break
+    case 'fit-page':
+      fitPreview(true)
+      break
+    case 'actual-size':
+      zoomPreviewTo(1 / getPreviewLayoutScale())
+      break
+    case 'reset':
+      applyPreviewView(null)
+      break
+  }
+}
+
+const previewControls = document.getElementById('preview-controls')
+
+// Clicking a diagram element jumps to its source line
+document.getElementById('render-svg').addEventListener('pointerdown', (e) => {
+  previewPointerStart = { x: e.clientX, y: e.clientY }
+})
+document.getElementById('render-svg').addEventListener('click', handlePreviewElementClick)
+
+document.getElementById('page-select').addEventListener('change', (e) => {
+  goToPage(parseInt(e.target.value, 10))
+})
+
+previewControls.addEventListener('click', (e) => {
+  const button = e.target.closest('[data-preview-action]')
+  if (button) {
+    handlePreviewAction(button.getAttribute('data-preview-action'))
+  }
+})
+
+// The toolbar sits on the pan/zoom surface; keep its clicks from panning or zooming
+for (const type of ['mousedown', 'touchstart', 'dblclick', 'wheel']) {
+  previewControls.addEventListener(type, (e) => e.stopPropagation())
+}
+
+// A new image may have a different natural size
+document.getElementById('render-image').addEventListener('load', updatePreviewZoomLevel)
+
+// ============================================================================
+// RESPONSIVE TAB NAVIGATION
+// ============================================================================
+
+function switchTab(tab) {
+  activeTab = tab
+  let activeTabColor = 'border-[#B0B0B0]'
+  let inactiveTabColor = 'border-transparent'
+
+  if (tab === 'code') {
+    // Show code panel, hide preview
+    sidePanel.classList.remove('hidden')
+    mainPanel.classList.add('hidden')
+
+    // Update tab styles
+    tabCode.classList.add(activeTabColor, 'text-white')
+    tabCode.classList.remove(inactiveTabColor, 'text-gray-400')
+    tabPreview.classList.remove(activeTabColor, 'text-white')
+    tabPreview.classList.add(inactiveTabColor, 'text-gray-400')
+
+    // Focus editor
+    editor.focus()
+  } else {
+    // Show preview, hide code panel
+    sidePanel.classList.add('hidden')
+    mainPanel.classList.remove('hidden')
+
+    // Update tab styles
+    tabPreview.classList.add(activeTabColor, 'text-white')
+    tabPreview.classList.remove(inactiveTabColor, 'text-gray-400')
+    tabCode.classList.remove(activeTabColor, 'text-white')
+    tabCode.classList.add(inactiveTabColor, 'text-gray-400')
+
+    // Auto-render when switching to preview
+    _render()
+  }
+}
+
+const resizer = document.querySelector('#resizer')
+const sidebar = document.querySelector('#sidebar')
+
+resizer.addEventListener('mousedown', () => {
+  // Only enable on desktop
+  if (window.innerWidth > 810) {
+    document.addEventListener('mousemove', resize, false)
+    document.addEventListener('mouseup', () => {
+      document.removeEventListener('mousemove', resize, false)
+    }, false)
+  }
+})
+
+function resize(e) {
+  const x = Math.max(e.x, 200)
+  const size = `${x}px`
+
+  sidebar.style.width = size
+  sidePanel.style.width = size
+}
+
+// ============================================================================
+// FILE MANAGEMENT - IndexedDB Storage Layer
+// ============================================================================
+
+const STORAGE_KEYS = {
+  // Legacy localStorage keys, only read once to migrate into IndexedDB
+  FILES: 'plantuml-files',
+  DEFAULT: 'plantuml-default',
+  EDITOR_STATE: 'plantuml_editor_state',
+  // Preferences stay in localStorage
+  RENDERER: 'plantuml-renderer',
+  FORMAT: 'plantuml-format',
+  THEME: 'plantuml-theme',
+  AI_PANEL_EXPANDED: 'plantuml-ai-panel-expanded',
+  SAVE_MODE: 'plantuml-save-mode',
+  EXPORT_LIGHT: 'plantuml-export-light',
+  SKIN_PRESETS: 'plantuml-skin-presets', // [{ id, name, skinparams }]
+  OUTLINE_EXPANDED: 'plantuml-outline-expanded'
+}
+
+const DB_NAME = 'plantuml-editor'
+const DB_VERSION = 3
+const DB_STORES = {
+  FILES: 'files',         // one record per diagram, keyed by id
+  META: 'meta',           // small key/value records (editor state, migration flag)
+  REVISIONS: 'revisions', // version history snapshots, indexed by fileId
+  RENDERS: 'renders'      // rendered output cache, keyed by a hash of source and options
+}
+const META_KEYS = {
+  EDITOR_STATE: 'editor-state',
+  MIGRATED: 'migrated-from-localstorage',
+  FOLDERS: 'folders', // folder paths created by the user, including empty ones
+  OPEN_TABS: 'open-tabs' // open tab set: order, active tab and per-tab cursor
+}
+
+// Other windows of the editor hear about file writes here (same-window
+// writes are not echoed back by BroadcastChannel)
+const fileSyncChannel = typeof BroadcastChannel === 'function'
+  ? new BroadcastChannel('plantuml-editor-files')
+  : null
+
+const DEFAULT_TEMPLATE = '@startuml\nBob -> Alice: Hello!\n@enduml'
+
+let databasePromise = null
+
+/**
+ * Wrap an IDBRequest in a promise
+ * @param {IDBRequest} request - Pending request
+ * @returns {Promise<*>} Request result
+ */
+function idbRequest(request) {
+  return new Promise((resolve, reject) => {
+    request.onsuccess = () => resolve(request.result)
+    request.onerror = () => reject(request.error)
+  })
+}
+
+/**
+ * Run work inside a transaction and wait for it to commit
+ * @param {string|string[]} storeNames - Object stores to open
+ * @param {string} mode - 'readonly' or 'readwrite'
+ * @param {Function} work - Receives the transaction, may return a value
+ * @returns {Promise<*>} Value returned by work, once the transaction completes
+ */
+async function idbTransaction(storeNames, mode, work) {
+  const db = await openDatabase()
+
+  return new Promise((resolve, reject) => {
+    const transaction = db.transaction(storeNames, mode)
+    let result
+
+    transaction.oncomplete = () => resolve(result)
+    transaction.onerror = () => reject(transaction.error)
+    transaction.onabort = () => reject(transaction.error || new Error('Transaction aborted'))
+
+    result = work(transaction)
+  })
+}
+
+/**
+ * Open (and on first use, create and migrate) the diagram database
+ * @returns {Promise<IDBDatabase>} Open database connection
+ */
+function openDatabase() {
+  if (!databasePromise) {
+    databasePromise = new Promise((resolve, reject) => {
+      const request = indexedDB.open(DB_NAME, DB_VERSION)
+
+      request.onupgradeneeded = () => {
+        const db = request.result
+        if (!db.objectStoreNames.contains(DB_STORES.FILES)) {
+          db.createObjectStore(DB_STORES.FILES, { keyPath: 'id' })
+        }
+        if (!db.objectStoreNames.contains(DB_STORES.META)) {
+          db.createObjectStore(DB_STORES.META)
+        }
+        if (!db.objectStoreNames.contains(DB_STORES.REVISIONS)) {
+          const revisions = db.createObjectStore(DB_STORES.REVISIONS, { keyPath: 'id', autoIncrement: true })
+          revisions.createIndex('fileId', 'fileId', { unique: false })
+        }
+        if (!db.objectStoreNames.contains(DB_STORES.RENDERS)) {
+          const renders = db.createObjectStore(DB_STORES.RENDERS, { keyPath: 'key' })
+          renders.createIndex('lastUsed', 'lastUsed', { unique: false })
+        }
+      }
+      request.onsuccess = () => resolve(request.result)
+      request.onerror = () => reject(request.error)
+      request.onblocked = () => console.warn('Database upgrade blocked by another open tab')
+    }).then(async (db) => {
+      // Let a newer version of the app in another window upgrade the schema
+      db.onversionchange = () => {
+        db.close()
+        databasePromise = null
+      }
+      await migrateLegacyStorage(db)
+      return db
+    }).catch((error) => {
+      // Allow a later call to retry instead of caching the failure
+      databasePromise = null
+      throw error
+    })
+  }
+
+  return databasePromise
+}
+
+/**
+ * Move diagrams and editor state from the old localStorage keys into IndexedDB
+ * Runs once; the localStorage keys are removed after the data is committed.
+ * @param {IDBDatabase} db - Open database connection
+ */
+async function migrateLegacyStorage(db) {
+  const readMeta = db.transaction(DB_STORES.META, 'readonly').objectStore(DB_STORES.META)
+  if (await idbRequest(readMeta.get(META_KEYS.MIGRATED))) {
+    return
+  }
+
+  let legacyFiles = []
+  let legacyDefault = null
+  let legacyState = null
+
+  try {
+    legacyFiles = JSON.parse(localStorage.getItem(STORAGE_KEYS.FILES) || '[]')
+    legacyDefault = localStorage.getItem(STORAGE_KEYS.DEFAULT)
+    legacyState = JSON.parse(localStorage.getItem(STORAGE_KEYS.EDITOR_STATE) || 'null')
+  } catch (error) {
+    // Leave the keys in place so a corrupt one does not take the other diagrams with it
+    console.error('Error reading legacy storage, skipping migration:', error)
+    return
+  }
+
+  // The quick-access default key was written on every auto-save, so it wins
+  if (legacyDefault !== null) {
+    const now = new Date().toISOString()
+    const defaultFile = legacyFiles.find(f => f.id === 'default')
+    if (defaultFile) {
+      defaultFile.content = legacyDefault
+    } else {
+      legacyFiles.unshift({ id: 'default', name: 'default', content: legacyDefault, createdAt: now, lastModified: now })
+    }
+  }
+
+  await new Promise((resolve, reject) => {
+    const transaction = db.transaction([DB_STORES.FILES, DB_STORES.META], 'readwrite')
+    const filesStore = transaction.objectStore(DB_STORES.FILES)
+    const metaStore = transaction.objectStore(DB_STORES.META)
+
+    legacyFiles.filter(f => f && f.id).forEach(f => filesStore.put(f))
+    if (legacyState) {
+      metaStore.put(legacyState, META_KEYS.EDITOR_STATE)
+    }
+    metaStore.put(new Date().toISOString(), META_KEYS.MIGRATED)
+
+    transaction.oncomplete = resolve
+    transaction.onerror = () => reject(transaction.error)
+    transaction.onabort = () => reject(transaction.error)
+  })
+
+  try {
+    localStorage.removeItem(STORAGE_KEYS.FILES)
+    localStorage.removeItem(STORAGE_KEYS.DEFAULT)
+    localStorage.removeItem(STORAGE_KEYS.EDITOR_STATE)
+  } catch (error) {
+    console.error('Error clearing legacy storage:', error)
+  }
+
+  if (legacyFiles.length > 0) {
+    console.log(`Migrated ${legacyFiles.length} diagram(s) from localStorage to IndexedDB`)
+  }
+}
+
+/**
+ * Report a failed write, with a hint when the browser is out of space
+ * @param {string} context - What was being saved
+ * @param {Error} error - Write error
+ */
+function handleStorageWriteError(context, error) {
+  console.error(`Error saving ${context}:`, error)
+  if (error && error.name === 'QuotaExceededError') {
+    alert('Storage quota exceeded. Please delete some old files to free up space.')
+  }
+}
+
+/**
+ * Get all files from IndexedDB
+ * Records come back in key order: 'default' first, then 'file-<timestamp>-…' in creation order.
+ * @returns {Promise<Array>} Array of file objects
+ */
+async function getAllFiles() {
+  try {
+    const db = await openDatabase()
+    const store = db.transaction(DB_STORES.FILES, 'readonly').objectStore(DB_STORES.FILES)
+    return await idbRequest(store.getAll())
+  } catch (error) {
+    console.error('Error reading files from storage:', error)
+    return []
+  }
+}
+
+/**
+ * Get a single file by ID
+ * @param {string} fileId - File ID
+ * @returns {Promise<Object|null>} File object or null if missing
+ */
+async function getFile(fileId) {
+  try {
+    const db = await openDatabase()
+    const store = db.transaction(DB_STORES.FILES, 'readonly').objectStore(DB_STORES.FILES)
+    return (await idbRequest(store.get(fileId))) || null
+  } catch (error) {
+    console.error('Error reading file from storage:', error)
+    return null
+  }
+}
+
+/**
+ * Find a file by its display name
+ * @param {string} name - File name
+ * @returns {Promise<Object|null>} File object or null if missing
+ */
+async function findFileByName(name) {
+  const files = await getAllFiles()
+  return files.find(f => f.name === name) || null
+}
+
+/**
+ * Write a single file record
+ * @param {Object} file - File object with an id
+ * @returns {Promise<boolean>} True if the write committed
+ */
+async function putFile(file) {
+  try {
+    await idbTransaction(DB_STORES.FILES, 'readwrite', (transaction) => {
+      transaction.objectStore(DB_STORES.FILES).put(file)
+    })
+    broadcastFileChange('file-saved', file.id)
+    return true
+  } catch (error) {
+    handleStorageWriteError('file', error)
+    return false
+  }
+}
+
+/**
+ * Tell other windows of the editor that a file was written or deleted
+ * @param {string} type - 'file-saved' or 'file-deleted'
+ * @param {string} fileId - File ID
+ */
+function broadcastFileChange(type, fileId) {
+  if (!fileSyncChannel) return
+
+  try {
+    fileSyncChannel.postMessage({ type: type, fileId: fileId })
+  } catch (error) {
+    console.error('Error broadcasting file change:', error)
+  }
+}
+
+/**
+ * Update the content of an existing file
+ * @param {string} fileId - File ID
+ * @param {string} content - New PlantUML content
+ * @returns {Promise<Object|null>} Updated file or null if missing or not saved
+ */
+async function updateFileContent(fileId, content) {
+  const file = await getFile(fileId)
+  if (!file) {
+    return null
+  }
+
+  file.content = content
+  file.lastModified = new Date().toISOString()
+
+  return (await putFile(file)) ? file : null
+}
+
+/**
+ * Read the saved editor state used for refresh recovery
+ * @returns {Promise<Object|null>} State object or null
+ */
+async function getEditorState() {
+  try {
+    const db = await openDatabase()
+    const store = db.transaction(DB_STORES.META, 'readonly').objectStore(DB_STORES.META)
+    return (await idbRequest(store.get(META_KEYS.EDITOR_STATE))) || null
+  } catch (error) {
+    console.error('Error reading editor state:', error)
+    return null
+  }
+}
+
+/**
+ * Save editor state for refresh recovery
+ * @param {string} diagramName - Name of the active diagram
+ * @param {string} content - Editor content
+ */
+async function saveEditorState(diagramName, content) {
+  try {
+    await idbTransaction(DB_STORES.META, 'readwrite', (transaction) => {
+      transaction.objectStore(DB_STORES.META).put({
+        diagramName: diagramName,
+        content: content,
+        timestamp: Date.now()
+      }, META_KEYS.EDITOR_STATE)
+    })
+  } catch (error) {
+    handleStorageWriteError('editor state', error)
+  }
+}
+
+/**
+ * Read the open tab set saved by the last session
+ * @returns {Promise<Object|null>} { tabs: [{ fileId, cursor, scrollTop }], activeFileId } or null
+ */
+async function getOpenTabsState() {
+  try {
+    const db = await openDatabase()
+    const store = db.transaction(DB_STORES.META, 'readonly').objectStore(DB_STORES.META)
+    return (await idbRequest(store.get(META_KEYS.OPEN_TABS))) || null
+  } catch (error) {
+    console.error('Error reading open tabs:', error)
+    return null
+  }
+}
+
+/**
+ * Save the open tab set
+ * @param {Object} state - { tabs: [{ fileId, cursor, scrollTop, previewView }], activeFileId }
+ */
+async function saveOpenTabsState(state) {
+  try {
+    await idbTransaction(DB_STORES.META, 'readwrite', (transaction) => {
+      transaction.objectStore(DB_STORES.META).put(state, META_KEYS.OPEN_TABS)
+    })
+  } catch (error) {
+    handleStorageWriteError('open tabs', error)
+  }
+}
+
+/**
+ * Remove the saved editor state
+ */
+async function clearEditorState() {
+  try {
+    await idbTransaction(DB_STORES.META, 'readwrite', (transaction) => {
+      transaction.objectStore(DB_STORES.META).delete(META_KEYS.EDITOR_STATE)
+    })
+  } catch (error) {
+    console.error('Error clearing editor state:', error)
+  }
+}
+
+/**
+ * Normalize a folder path: trimmed segments joined by '/', root is ''
+ * @param {string} path - Raw folder path
+ * @returns {string} Normalized path
+ */
+function normalizeFolderPath(path) {
+  return (path || '')
+    .split('/')
+    .map(segment => segment.trim())
+    .filter(Boolean)
+    .join('/')
+}
+
+/**
+ * Get folder paths created by the user
+ * @returns {Promise<Array<string>>} Folder paths
+ */
+async function getFolders() {
+  try {
+    const db = await openDatabase()
+    const store = db.transaction(DB_STORES.META, 'readonly').objectStore(DB_STORES.META)
+    return (await idbRequest(store.get(META_KEYS.FOLDERS))) || []
+  } catch (error) {
+    console.error('Error reading folders:', error)
+    return []
+  }
+}
+
+/**
+ * Save the list of user-created folder paths
+ * @param {Array<string>} folders - Folder paths
+ */
+async function saveFolders(folders) {
+  try {
+    const unique = Array.from(new Set(folders.map(normalizeFolderPath).filter(Boolean))).sort()
+    await idbTransaction(DB_STORES.META, 'readwrite', (transaction) => {
+      transaction.objectStore(DB_STORES.META).put(unique, META_KEYS.FOLDERS)
+    })
+  } catch (error) {
+    handleStorageWriteError('folders', error)
+  }
+}
+
+/**
+ * Save content to the default file
+ * @param {string} content - PlantUML content to save
+ */
+async function saveDefaultFile(content) {
+  try {
+    const now = new Date().toISOString()
+    const defaultFile = await getFile('default')
+
+    if (defaultFile) {
+      // Update existing default file
+      defaultFile.content = content
+      defaultFile.lastModified = now
+      await putFile(defaultFile)
+    } else {
+      // Create default file if it doesn't exist
+      await putFile({
+        id: 'default',
+        name: 'default',
+        content: content,
+        createdAt: now,
+        lastModified: now
+      })
+    }
+  } catch (error) {
+    console.error('Error saving default file:', error)
+  }
+}
+
+/**
+ * Handle Save (Ctrl+S) - Save to current diagram without dialog
+ */
+async function handleSave() {
+  const activeDiagramTab = getActiveTab()
+
+  // If no active tab or tab has no file, fallback to Save As
+  if (!activeDiagramTab) {
+    openFilePanel('save')
+    return
+  }
+
+  const content = editor.getValue()
+  const savedFile = await updateFileContent(activeDiagramTab.fileId, content)
+
+  // Validate diagram still exists
+  if (!savedFile) {
+    if (!(await getFile(activeDiagramTab.fileId))) {
+      showNotification(`Current diagram '${activeDiagramTab.name}' no longer exists`, 'error')
+      closeTab(activeDiagramTab.id)
+    } else {
+      showNotification('Failed to save diagram', 'error')
+    }
+    return
+  }
+
+  // Tabs opened from disk write straight back to their file
+  if (activeDiagramTab.fileHandle) {
+    try {
+      await writeFileHandle(activeDiagramTab.fileHandle, content)
+      showNotification(`Saved to '${activeDiagramTab.fileHandle.name}'`, 'success')
+      markSaved(content)
+    } catch (error) {
+      console.error('Disk save error:', error)
+      showNotification(`Failed to write '${activeDiagramTab.fileHandle.name}': ${error.message}`, 'error')
+    }
+  } else if (content !== lastSavedContent) {
+    // Compare content with last saved content
+    showNotification(`Saved to '${activeDiagramTab.name}'`, 'success')
+    markSaved(content)
+  }
+
+  await recordRevision(activeDiagramTab.fileId, content, 'save')
+
+  // Save editor state for refresh recovery
+  await saveEditorState(activeDiagramTab.name, content)
+
+  // Update window title (keep it static)
+  updateWindowTitle(null)
+}
+
+/**
+ * Load content from the default file
+ * @returns {Promise<string>} Content of the default file
+ */
+async function loadDefaultFile() {
+  const defaultFile = await getFile('default')
+  return defaultFile ? defaultFile.content : DEFAULT_TEMPLATE
+}
+
+/**
+ * Generate a unique file ID
+ * @returns {string} File ID ('file-<timestamp>-<random>')
+ */
+function generateFileId() {
+  return 'file-' + Date.now() + '-' + Math.random().toString(36).substring(2, 11)
+}
+
+/**
+ * Create a new snapshot file
+ * @param {string} name - Name for the new file
+ * @param {string} content - Content to save
+ * @returns {Promise<Object|null>} Created file object or null if failed
+ */
+async function saveFile(name, content) {
+  const now = new Date().toISOString()
+
+  const newFile = {
+    id: generateFileId(),
+    name: name,
+    content: content,
+    createdAt: now,
+    lastModified: now
+  }
+
+  return (await putFile(newFile)) ? newFile : null
+}
+
+/**
+ * Delete a file by ID (cannot delete default file)
+ * @param {string} fileId - ID of file to delete
+ * @returns {Promise<boolean>} True if deleted, false otherwise
+ */
+async function deleteFile(fileId) {
+  if (fileId === 'default') {
+    alert('Cannot delete the default file.')
+    return false
+  }
+
+  try {
+    if (!(await getFile(fileId))) {
+      console.warn('File not found:', fileId)
+      return false
+    }
+
+    await idbTransaction(DB_STORES.FILES, 'readwrite', (transaction) => {
+      transaction.objectStore(DB_STORES.FILES).delete(fileId)
+    })
+    await deleteRevisions(fileId)
+    broadcastFileChange('file-deleted', fileId)
+    return true
+  } catch (error) {
+    console.error('Error deleting file:', error)
+    return false
+  }
+}
+
+/**
+ * Validate file name
+ * @param {string} name - File name to validate
+ * @param {Array} files - Existing files array
+ * @returns {Object} Validation result {valid: boolean, error: string}
+ */
+function validateFileName(name, _files = null) {
+  if (!name || name.trim() === '') {
+    return { valid: false, error: 'File name cannot be empty' }
+  }
+
+  if (name === 'default') {
+    return { valid: false, error: 'Reserved file name' }
+  }
+
+  // Note: We no longer check if file already exists here
+  // handleSaveAs() handles existing files with a confirmation dialog
+
+  return { valid: true }
+}
+
+/**
+ * Format ISO date string for display
+ * @param {string} isoString - ISO date string
+ * @returns {string} Formatted date string
+ */
+function formatDate(isoString) {
+  try {
+    const date = new Date(isoString)
+    const months = ['Jan', 'Feb', 'Mar', 'Apr', 'May', 'Jun', 'Jul', 'Aug', 'Sep', 'Oct', 'Nov', 'Dec']
+
+    const month = months[date.getMonth()]
+    const day = String(date.getDate()).padStart(2, '0')
+    const year = date.getFullYear()
+    const hours = String(date.getHours()).padStart(2, '0')
+    const minutes = String(date.getMinutes()).padStart(2, '0')
+
+    return `${month} ${day}, ${year} ${hours}:${minutes}`
+  } catch (error) {
+    console.error('Error formatting date:', error)
+    return isoString
+  }
+}
+
+// ============================================================================
+// FILE PANEL MODAL
+// ============================================================================
+
+const fileModal = document.getElementById('file-modal')
+const modalTitle = document.getElementById('modal-title')
+const saveInputContainer = document.getElementById('save-input-container')
+const openDiskButton = document.getElementById('btn-open-disk')
+const saveDiskButton = document.getElementById('btn-save-disk')
+const fileNameInput = document.getElementById('file-name-input')
+const nameError = document.getElementById('name-error')
+const fileListContainer = document.getElementById('file-list')
+/**
+ * Open file panel modal in specified mode
+ * @param {string} mode - 'save' or 'open'
+ */
+function openFilePanel(mode) {
+
+  // Show modal
+  fileModal.classList.remove('hidden')
+
+  // Clear previous state
+  nameError.classList.add('hidden')
+  fileNameInput.value = ''
+  fileNameInput.classList.remove('border-red-500')
+
+  if (mode === 'save') {
+    modalTitle.textContent = 'Save As'
+    saveInputContainer.classList.remove('hidden')
+    openDiskButton.classList.add('hidden')
+    saveDiskButton.classList.remove('hidden')
+    fileNameInput.focus()
+  } else {
+    modalTitle.textContent = 'Open File'
+    saveInputContainer.classList.add('hidden')
+    openDiskButton.classList.remove('hidden')
+    saveDiskButton.classList.add('hidden')
+    // Focus the search box so typing starts a search right away
+    fileSearchInput.focus()
+  }
+
+  return renderFileList()
+}
+
+/**
+ * Close file panel modal
+ */
+function closeModal() {
+  fileModal.classList.add('hidden')
+  nameError.classList.add('hidden')
+  fileNameInput.value = ''
+}
+
+// ============================================================================
+// FILE SEARCH
+// ============================================================================
+
+const fileSearchInput = document.getElementById('file-search-input')
+const MAX_SNIPPETS_PER_FILE = 3
+const SNIPPET_CONTEXT_CHARS = 60
+
+/**
+ * Escape a string for use inside a RegExp
+ * @param {string} text - Literal text
+ * @returns {string} Escaped pattern
+ */
+function escapeRegExp(text) {
+  return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')
+}
+
+/**
+ * Escape text and wrap every occurrence of the query in <mark>
+ * @param {string} text - Text to highlight
+ * @param {string} query - Search query
+ * @returns {string} HTML markup
+ */
+function highlightMatches(text, query) {
+  const pattern = new RegExp(`(${escapeRegExp(query)})`, 'gi')
+  return text.split(pattern).map((part, i) =>
+    // split() with a capture group puts the matches at odd indexes
+    i % 2 === 1 ? `<mark>${escapeHtml(part)}</mark>` : escapeHtml(part)
+  ).join('')
+}
+
+/**
+ * Trim a long line to the area around the first match
+ * @param {string} line - Source line
+ * @param {number} matchIndex - Index of the match in the line
+ * @returns {string} Snippet text
+ */
+function trimSnippet(line, matchIndex) {
+  const text = line.trim()
+  const offset = line.length - line.trimStart().length
+  const start = Math.max(0, matchIndex - offset - SNIPPET_CONTEXT_CHARS)
+  const end = Math.min(text.length, matchIndex - offset + SNIPPET_CONTEXT_CHARS)
+
+  return (start > 0 ? '…' : '') + text.substring(start, end) + (end < text.length ? '…' : '')
+}
+
+/**
+ * Search file names and contents
+ * @param {Array} files - Files to search
+ * @param {string} query - Case-insensitive search text
+ * @returns {Array} Results { file, nameMatch, matches: [{ line, text }], totalMatches }
+ */
+function searchFiles(files, query) {
+  const needle = query.toLowerCase()
+
+  return files.map(file => {
+    const nameMatch = file.name.toLowerCase().includes(needle)
+    const matches = []
+    let totalMatches = 0
+
+    ;(file.content || '').split('\n').forEach((line, index) => {
+      const matchIndex = line.toLowerCase().indexOf(needle)
+      if (matchIndex === -1) return
+
+      totalMatches++
+      if (matches.length < MAX_SNIPPETS_PER_FILE) {
+        matches.push({ line: index + 1, text: trimSnippet(line, matchIndex) })
+      }
+    })
+
+    return { file, nameMatch, matches, totalMatches }
+  })
+    .filter(result => result.nameMatch || result.totalMatches > 0)
+    // Name matches first, then by number of content hits
+    .sort((a, b) => (b.nameMatch - a.nameMatch) || (b.totalMatches - a.totalMatches))
+}
+
+/**
+ * Render search results into the file list
+ * @param {Array} files - Files to search
+ * @param {string} query - Search text
+ */
+function renderSearchResults(files, query) {
+  const results = searchFiles(files, query)
+
+  if (results.length === 0) {
+    fileListContainer.innerHTML = `<p class="text-gray-500 text-center py-4">No diagrams match '${escapeHtml(query)}'</p>`
+    return
+  }
+
+  fileListContainer.innerHTML = results.map(({ file, matches, totalMatches }) => `
+    <div class="py-3 border-b last:border-b-0">
+      <button class="search-result-name text-left font-medium text-gray-800 cursor-pointer hover:underline" data-search-file-id="${escapeHtml(file.id)}">
+        ${highlightMatches(file.name, query)}
+        ${file.folder ? `<span class="text-xs text-gray-400 font-normal">in ${escapeHtml(file.folder)}</span>` : ''}
+      </button>
+      ${matches.map(match => `
+        <button class="search-snippet w-full text-left font-mono text-xs text-gray-600 px-2 py-1 rounded cursor-pointer" data-search-file-id="${escapeHtml(file.id)}" data-search-line="${match.line}">
+          <span class="text-gray-400">${match.line}:</span> ${highlightMatches(match.text, query)}
+        </button>
+      `).join('')}
+      ${totalMatches > matches.length ? `<p class="text-xs text-gray-400 px-2">+${totalMatches - matches.length} more</p>` : ''}
+    </div>
+  `).join('')
+}
+
+// ============================================================================
+// FILE LIST FOLDERS AND TAGS
+// ============================================================================
+
+// File list view state (kept while the modal is reopened)
+const collapsedFolders = new Set()
+let activeTagFilter = null
+
+/**
+ * Build a folder tree from files and user-created folders
+ * @param {Array} files - File objects with optional folder path
+ * @param {Array<string>} folders - User-created folder paths
+ * @returns {Object} Root node { name, path, folders: Map, files: Array }
+ */
+function buildFolderTree(files, folders) {
+  const root = { name: '', path: '', folders: new Map(), files: [] }
+
+  const ensureFolder = (path) => {
+    let node = root
+    normalizeFolderPath(path).split('/').filter(Boolean).forEach(segment => {
+      if (!node.folders.has(segment)) {
+        node.folders.set(segment, {
+          name: segment,
+          path: node.path ? `${node.path}/${segment}` : segment,
+          folders: new Map(),
+          files: []
+        })
+      }
+      node = node.folders.get(segment)
+    })
+    return node
+  }
+
+  folders.forEach(ensureFolder)
+  files.forEach(file => ensureFolder(file.folder).files.push(file))
+
+  return root
+}
+
+/**
+ * Count files in a folder node, including subfolders
+ * @param {Object} node - Folder tree node
+ * @returns {number} File count
+ */
+function countFolderFiles(node) {
+  let count = node.files.length
+  node.folders.forEach(child => { count += countFolderFiles(child) })
+  return count
+}
+
+/**
+ * Render one file row
+ * @param {Object} file - File object
+ * @returns {string} HTML markup
+ */
+function renderFileItem(file) {
+  const tags = file.tags || []
+
+  return `
+    <div class="file-item flex items-center justify-between py-3 border-b last:border-b-0" draggable="true" data-file-id="${escapeHtml(file.id)}">
+      <div class="flex-1">
+        <h3 class="font-medium text-gray-800">${escapeHtml(file.name)}</h3>
+        <p class="text-sm text-gray-500">
+          Created: ${formatDate(file.createdAt)} | Modified: ${formatDate(file.lastModified)}
+        </p>
+        ${tags.length > 0 ? `
+          <div class="flex flex-wrap gap-1 mt-1">
+            ${tags.map(tag => `<span class="file-tag" data-tag="${escapeHtml(tag)}">#${escapeHtml(tag)}</span>`).join('')}
+          </div>
+        ` : ''}
+      </div>
+      <div class="flex gap-2">
+        <button
+          data-file-action="tags"
+          class="px-3 py-1 bg-white hover:bg-gray-100 text-[#1A4F63] text-sm rounded transition-colors border border-gray-300 cursor-pointer"
+          title="Edit tags"
+        >
+          Tags
+        </button>
+        ${file.id !== 'default' ? `
+          <button
+            onclick="handleDeleteFile('${file.id}')"
+            class="px-3 py-1 bg-white hover:bg-gray-100 text-[#1A4F63] text-sm rounded transition-colors border border-gray-300 cursor-pointer"
+          >
+            Delete
+          </button>
+        ` : ''}
+        <button
+          onclick="handleOpenFile('${file.id}')"
+          class="px-3 py-1 bg-white hover:bg-gray-100 text-[#1A4F63] text-sm rounded transition-colors border border-gray-300 cursor-pointer"
+        >
+          ${file.id === 'default' ? 'Reload' : 'Open'}
+        </button>
+      </div>
+    </div>
+  `
+}
+
+/**
+ * Render a folder node and its contents
+ * @param {Object} node - Folder tree node
+ * @returns {string} HTML markup
+ */
+function renderFolderNode(node) {
+  const isCollapsed = collapsedFolders.has(node.path)
+  const childFolders = Array.from(node.folders.values()).sort((a, b) => a.name.localeCompare(b.name))
+
+  return `
+    <div class="folder-node" data-folder-path="${escapeHtml(node.path)}">
+      <div class="folder-header flex items-center justify-between py-2 px-1 cursor-pointer" data-drop-folder="${escapeHtml(node.path)}" data-folder-action="toggle">
+        <span class="flex items-center gap-1 font-medium text-gray-700">
+          <span class="folder-chevron ${isCollapsed ? 'folder-chevron-collapsed' : ''}">▾</span>
+          📁 ${escapeHtml(node.name)}
+          <span class="text-xs text-gray-400">(${countFolderFiles(node)})</span>
+        </span>
+        <button
+          data-folder-action="rename"
+          class="px-2 py-0.5 text-xs text-[#1A4F63] rounded border border-gray-300 bg-white hover:bg-gray-100 cursor-pointer"
+        >
+          Rename
+        </button>
+      </div>
+      <div class="folder-children pl-4 ${isCollapsed ? 'hidden' : ''}">
+        ${childFolders.map(renderFolderNode).join('')}
+        ${node.files.map(renderFileItem).join('')}
+      </div>
+    </div>
+  `
+}
+
+/**
+ * Render the tag filter chips above the file list
+ * @param {Array} files - All files
+ */
+function renderTagFilter(files) {
+  const tagFilter = document.getElementById('file-tag-filter')
+  if (!tagFilter) return
+
+  const tags = Array.from(new Set(files.flatMap(file => file.tags || []))).sort()
+
+  // Drop a filter whose tag no longer exists
+  if (activeTagFilter && !tags.includes(activeTagFilter)) {
+    activeTagFilter = null
+  }
+
+  tagFilter.innerHTML = tags.map(tag => `
+    <button class="file-tag ${tag === activeTagFilter ? 'file-tag-active' : ''} cursor-pointer" data-tag-filter="${escapeHtml(tag)}">#${escapeHtml(tag)}</button>
+  `).join('')
+}
+
+/**
+ * Render file list in modal
+ */
+async function renderFileList() {
+  const [allFiles, folders] = await Promise.all([getAllFiles(), getFolders()])
+
+  renderTagFilter(allFiles)
+
+  if (allFiles.length === 0 && folders.length === 0) {
+    fileListContainer.innerHTML = '<p class="text-gray-500 text-center py-4">No files saved yet</p>'
+    return
+  }
+
+  const files = activeTagFilter
+    ? allFiles.filter(file => (file.tags || []).includes(activeTagFilter))
+    : allFiles
+
+  const query = fileSearchInput.value.trim()
+  if (query) {
+    renderSearchResults(files, query)
+    return
+  }
+
+  // While filtering, only show folders that contain a match
+  const tree = buildFolderTree(files, activeTagFilter ? [] : folders)
+  const childFolders = Array.from(tree.folders.values()).sort((a, b) => a.name.localeCompare(b.name))
+
+  fileListContainer.innerHTML = `
+    <div class="folder-root py-1 px-1 text-xs text-gray-400" data-drop-folder="">Drop here to move to the top level</div>
+    ${childFolders.map(renderFolderNode).join('')}
+    ${tree.files.map(renderFileItem).join('')}
+    ${files.length === 0 ? '<p class="text-gray-500 text-center py-4">No files with this tag</p>' : ''}
+  `
+}
+
+/**
+ * Move a file into a folder
+ * @param {string} fileId - File ID
+ * @param {string} folderPath - Target folder path, '' for the top level
+ */
+async function moveFileToFolder(fileId, folderPath) {
+  const file = await getFile(fileId)
+  if (!file) return
+
+  const folder = normalizeFolderPath(folderPath)
+  if ((file.folder || '') === folder) return
+
+  if (folder) {
+    file.folder = folder
+  } else {
+    delete file.folder
+  }
+
+  if (await putFile(file)) {
+    await renderFileList()
+  }
+}
+
+/**
+ * Create a new (empty) folder
+ */
+async function handleNewFolder() {
+  const name = prompt('Folder path (use / for subfolders):', '')
+  const path = normalizeFolderPath(name)
+  if (!path) return
+
+  await saveFolders([...(await getFolders()), path])
+  await renderFileList()
+}
+
+/**
+ * Rename a folder, moving its files and subfolders along with it
+ * @param {string} oldPath - Current folder path
+ */
+async function handleRenameFolder(oldPath) {
+  const name = prompt('Rename folder:', oldPath)
+  const newPath = normalizeFolderPath(name)
+  if (!newPath || newPath === oldPath) return
+
+  if (newPath.startsWith(`${oldPath}/`)) {
+    showNotification('Cannot move a folder into itself', 'error')
+    return
+  }
+
+  const renamePath = (path) => {
+    if (path === oldPath) return newPath
+    if (path.startsWith(`${oldPath}/`)) return newPath + path.substring(oldPath.length)
+    return path
+  }
+
+  const files = await getAllFiles()
+  for (const file of files) {
+    if (file.folder && renamePath(file.folder) !== file.folder) {
+      file.folder = renamePath(file.folder)
+      await putFile(file)
+    }
+  }
+
+  await saveFolders((await getFolders()).map(renamePath))
+
+  if (collapsedFolders.delete(oldPath)) {
+    collapsedFolders.add(newPath)
+  }
+
+  await renderFileList()
+}
+
+/**
+ * Edit the tags of a file
+ * @param {string} fileId - File ID
+ */
+async function handleEditTags(fileId) {
+  const file = await getFile(fileId)
+  if (!file) return
+
+  const input = prompt('Tags (comma separated):', (file.tags || []).join(', '))
+  if (input === null) return
+
+  const tags = Array.from(new Set(
+    input.split(',').map(tag => tag.trim().replace(/^#/, '')).filter(Boolean)
+  ))
+
+  if (tags.length > 0) {
+    file.tags = tags
+  } else {
+    delete file.tags
+  }
+
+  if (await putFile(file)) {
+    await renderFileList()
+  }
+}
+
+// ============================================================================
+// FILE PANEL ACTIONS
+// ============================================================================
+
+/**
+ * Handle Save As action
+ */
+async function handleSaveAs() {
+  const name = fileNameInput.value.trim()
+  const files = await getAllFiles()
+
+  // Validate name
+  const validation = validateFileName(name, files)
+  if (!validation.valid) {
+    nameError.textContent = validation.error
+    nameError.classList.remove('hidden')
+    fileNameInput.classList.add('border-red-500')
+    return
+  }
+
+  // Clear error
+  nameError.classList.add('hidden')
+  fileNameInput.classList.remove('border-red-500')
+
+  // Check if file already exists
+  const existingFile = files.find(f => f.name === name)
+  if (existingFile) {
+    // Show overwrite confirmation
+    confirmOverwrite(name)
+    return
+  }
+
+  // Get current content from editor
+  const content = editor.getValue()
+
+  // Save file
+  const newFile = await saveFile(name, content)
+  if (newFile) {
+    console.log('File saved:', newFile.name)
+    await recordRevision(newFile.id, content, 'save')
+
+    // Set as current diagram in this tab
+    currentDiagramName = name
+    bindActiveTabToFile(newFile)
+
+    // Save editor state
+    await saveEditorState(name, content)
+
+    // Update tracking
+    markSaved(content)
+    updateWindowTitle(name)
+
+    closeModal()
+  } else {
+    nameError.textContent = 'Failed to save file'
+    nameError.classList.remove('hidden')
+  }
+}
+
+/**
+ * Show confirmation dialog for overwriting existing file
+ * @param {string} diagramName - Name of the diagram to overwrite
+ */
+function confirmOverwrite(diagramName) {
+  // Create confirmation modal
+  const confirmModal = document.createElement('div')
+  confirmModal.id = 'confirm-overwrite-modal'
+  confirmModal.className = 'fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center'
+  confirmModal.style.zIndex = '1002' // Higher than file modal (1000) and share modal (1001)
+
+  // Create modal content safely (avoid XSS by using textContent for dynamic content)
+  const modalContent = document.createElement('div')
+  modalContent.className = 'bg-white rounded-lg shadow-xl p-6 max-w-md w-full mx-4'
+
+  const title = document.createElement('h3')
+  title.className = 'text-lg font-semibold text-gray-900 mb-2'
+  title.textContent = 'Overwrite File?'
+
+  const message = document.createElement('p')
+  message.className = 'text-gray-600 mb-6'
+  message.textContent = `File '${diagramName}' already exists. Overwrite?`
+
+  const buttonContainer = document.createElement('div')
+  buttonContainer.className = 'flex justify-end gap-3'
+
+  const cancelBtn = document.createElement('button')
+  cancelBtn.className = 'px-4 py-2 bg-gray-200 text-gray-800 rounded hover:bg-gray-300 transition cursor-pointer'
+  cancelBtn.textContent = 'Cancel'
+
+  const confirmBtn = document.createElement('button')
+  confirmBtn.className = 'px-4 py-2 bg-red-500 text-white rounded hover:bg-red-600 transition cursor-pointer'
+  confirmBtn.textContent = 'Overwrite'
+
+  buttonContainer.appendChild(cancelBtn)
+  buttonContainer.appendChild(confirmBtn)
+
+  modalContent.appendChild(title)
+  modalContent.appendChild(message)
+  modalContent.appendChild(buttonContainer)
+
+  confirmModal.appendChild(modalContent)
+  document.body.appendChild(confirmModal)
+
+  // Add event listeners
+  cancelBtn.addEventListener('click', () => {
+    document.body.removeChild(confirmModal)
+    // Return to Save As input field
+    fileNameInput.focus()
+  })
+
+  confirmBtn.addEventListener('click', async () => {
+    const content = editor.getValue()
+    const existingFile = await findFileByName(diagramName)
+
+    if (existingFile) {
+      // Update existing file
+      await updateFileContent(existingFile.id, content)
+      await recordRevision(existingFile.id, content, 'save')
+
+      // Set as current diagram in this tab
+      currentDiagramName = diagramName
+      bindActiveTabToFile(existingFile)
+
+      // Save editor state
+      await saveEditorState(diagramName, content)
+
+      // Update tracking
+      markSaved(content)
+      updateWindowTitle(diagramName)
+
+      // Show success notification
+      showNotification(`Saved to '${diagramName}'`, 'success')
+
+      // Remove confirmation modal
+      document.body.removeChild(confirmModal)
+
+      // Close the Save As modal
+      closeModal()
+    }
+  })
+
+  // Handle Enter key to confirm
+  confirmBtn.addEventListener('keydown', (e) => {
+    if (e.key === 'Enter') {
+      e.preventDefault()
+      e.stopPropagation()
+      confirmBtn.click()
+    }
+  })
+
+  // Focus on the confirm button after a small delay to ensure modal is rendered
+  // and to prevent the previous Enter key event from triggering it
+  setTimeout(() => {
+    confirmBtn.focus()
+  }, 100)
+}
+
+/**
+ * Handle Open File action
+ * @param {string} fileId - ID of file to open
+ * @param {number} line - Optional 1-based line to put the cursor on
+ */
+async function handleOpenFile(fileId, line = null) {
+  const file = await getFile(fileId)
+
+  if (!file) {
+    console.warn('File not found:', fileId)
+    return
+  }
+
+  // Create a new tab for this file
+  const tabId = createTab(fileId, file.name)
+
+  if (!tabId) {
+    // Tab limit reached or other error
+    return
+  }
+
+  if (file.fileHandle) {
+    tabs.find(t => t.id === tabId).fileHandle = file.fileHandle
+  }
+
+  // Switch to the new tab
+  await switchToTab(tabId)
+
+  if (line) {
+    editor.gotoLine(line, 0, true)
+    editor.focus()
+  }
+
+  // Close the modal
+  closeModal()
+  debouncedRender()
+}
+
+/**
+ * Handle Delete File action
+ * @param {string} fileId - ID of file to delete
+ */
+async function handleDeleteFile(fileId) {
+  if (confirm('Are you sure you want to delete this file?')) {
+    const success = await deleteFile(fileId)
+    if (success) {
+      await renderFileList()
+    }
+  }
+}
+
+/**
+ * Escape HTML to prevent XSS
+ * @param {string} text - Text to escape
+ * @returns {string} Escaped text
+ */
+function escapeHtml(text) {
+  const div = document.createElement('div')
+  div.textContent = text
+  return div.innerHTML
+}
+
+// ============================================================================
+// VERSION HISTORY
+// ============================================================================
+
+const MAX_REVISIONS_PER_FILE = 50
+const REVISION_INTERVAL_MS = 5 * 60 * 1000 // time-based snapshots at most every 5 minutes
+const MAX_DIFF_CELLS = 4000000 // LCS table limit, above this the diff falls back to replace-all
+
+const historyModal = document.getElementById('history-modal')
+const historyList = document.getElementById('history-list')
+const historyDiff = document.getElementById('history-diff')
+
+let selectedRevisionId = null
+
+/**
+ * Get all revisions of a file, newest first
+ * @param {string} fileId - File ID
+ * @returns {Promise<Array>} Revision objects { id, fileId, content, createdAt, reason }
+ */
+async function getRevisions(fileId) {
+  try {
+    const db = await openDatabase()
+    const index = db.transaction(DB_STORES.REVISIONS, 'readonly').objectStore(DB_STORES.REVISIONS).index('fileId')
+    const revisions = await idbRequest(index.getAll(fileId))
+    return revisions.sort((a, b) => b.createdAt.localeCompare(a.createdAt) || b.id - a.id)
+  } catch (error) {
+    console.error('Error reading revisions:', error)
+    return []
+  }
+}
+
+/**
+ * Record a revision of a file
+ * Skipped when the content matches the latest revision, or for 'auto' snapshots
+ * taken less than REVISION_INTERVAL_MS after the previous one.
+ * @param {string} fileId - File ID
+ * @param {string} content - PlantUML content to snapshot
+ * @param {string} reason - 'save', 'auto', 'restore' or 'import'
+ */
+async function recordRevision(fileId, content, reason = 'save') {
+  try {
+    const revisions = await getRevisions(fileId)
+    const latest = revisions[0]
+
+    if (latest && latest.content === content) {
+      return
+    }
+    if (reason === 'auto' && latest && Date.now() - new Date(latest.createdAt).getTime() < REVISION_INTERVAL_MS) {
+      return
+    }
+
+    // Drop the oldest revisions beyond the limit (the new one takes a slot)
+    const expired = revisions.slice(MAX_REVISIONS_PER_FILE - 1)
+
+    await idbTransaction(DB_STORES.REVISIONS, 'readwrite', (transaction) => {
+      const store = transaction.objectStore(DB_STORES.REVISIONS)
+      store.add({
+        fileId: fileId,
+        content: content,
+        createdAt: new Date().toISOString(),
+        reason: reason
+      })
+      expired.forEach(revision => store.delete(revision.id))
+    })
+  } catch (error) {
+    handleStorageWriteError('revision', error)
+  }
+}
+
+/**
+ * Delete every revision of a file
+ * @param {string} fileId - File ID
+ */
+async function deleteRevisions(fileId) {
+  try {
+    const revisions = await getRevisions(fileId)
+    await idbTransaction(DB_STORES.REVISIONS, 'readwrite', (transaction) => {
+      const store = transaction.objectStore(DB_STORES.REVISIONS)
+      revisions.forEach(revision => store.delete(revision.id))
+    })
+  } catch (error) {
+    console.error('Error deleting revisions:', error)
+  }
+}
+
+/**
+ * Compute a line diff between two texts (longest common subsequence)
+ * @param {string} oldText - Revision content
+ * @param {string} newText - Current content
+ * @returns {Array} Entries { type: 'same'|'add'|'del', text }
+ */
+function diffLines(oldText, newText) {
+  const oldLines = oldText.split('\n')
+  const newLines = newText.split('\n')
+
+  // Trim the common prefix and suffix so the table only covers the changed middle
+  let prefix = 0
+  while (prefix < oldLines.length && prefix < newLines.length && oldLines[prefix] === newLines[prefix]) {
+    prefix++
+  }
+  let suffix = 0
+  while (
+    suffix < oldLines.length - prefix &&
+    suffix < newLines.length - prefix &&
+    oldLines[oldLines.length - 1 - suffix] === newLines[newLines.length - 1 - suffix]
+  ) {
+    suffix++
+  }
+
+  const oldMiddle = oldLines.slice(prefix, oldLines.length - suffix)
+  const newMiddle = newLines.slice(prefix, newLines.length - suffix)
+  const result = oldLines.slice(0, prefix).map(text => ({ type: 'same', text }))
+
+  if (oldMiddle.length * newMiddle.length > MAX_DIFF_CELLS) {
+    oldMiddle.forEach(text => result.push({ type: 'del', text }))
+    newMiddle.forEach(text => result.push({ type: 'add', text }))
+  } else {
+    // lcs[i][j] = LCS length of oldMiddle[i:] and newMiddle[j:]
+    const lcs = Array.from({ length: oldMiddle.length + 1 }, () => new Uint32Array(newMiddle.length + 1))
+    for (let i = oldMiddle.length - 1; i >= 0; i--) {
+      for (let j = newMiddle.length - 1; j >= 0; j--) {
+        lcs[i][j] = oldMiddle[i] === newMiddle[j]
+          ? lcs[i + 1][j + 1] + 1
+          : Math.max(lcs[i + 1][j], lcs[i][j + 1])
+      }
+    }
+
+    let i = 0
+    let j = 0
+    while (i < oldMiddle.length && j < newMiddle.length) {
+      if (oldMiddle[i] === newMiddle[j]) {
+        result.push({ type: 'same', text: oldMiddle[i] })
+        i++
+        j++
+      } else if (lcs[i + 1][j] >= lcs[i][j + 1]) {
+        result.push({ type: 'del', text: oldMiddle[i++] })
+      } else {
+        result.push({ type: 'add', text: newMiddle[j++] })
+      }
+    }
+    while (i < oldMiddle.length) result.push({ type: 'del', text: oldMiddle[i++] })
+    while (j < newMiddle.length) result.push({ type: 'add', text: newMiddle[j++] })
+  }
+
+  oldLines.slice(oldLines.length - suffix).forEach(text => result.push({ type: 'same', text }))
+  return result
+}
+
+/**
+ * Open the version history panel for the active diagram
+ */
+async function openHistoryPanel() {
+  const activeDiagramTab = getActiveTab()
+  if (!activeDiagramTab) {
+    showNotification('No diagram open', 'error')
+    return
+  }
+
+  document.getElementById('history-title').textContent = `History – ${activeDiagramTab.name}`
+  selectedRevisionId = null
+  historyDiff.innerHTML = '<p class="text-gray-500 text-center py-4">Select a revision to compare</p>'
+  historyModal.classList.remove('hidden')
+
+  await renderHistoryList()
+}
+
+/**
+ * Close the version history panel
+ */
+function closeHistoryPanel() {
+  historyModal.classList.add('hidden')
+  selectedRevisionId = null
+}
+
+/**
+ * Render the revision list for the active diagram
+ */
+async function renderHistoryList() {
+  const activeDiagramTab = getActiveTab()
+  const revisions = activeDiagramTab ? await getRevisions(activeDiagramTab.fileId) : []
+
+  if (revisions.length === 0) {
+    historyList.innerHTML = '<p class="text-gray-500 text-center py-4">No revisions yet. Revisions are taken on save and every few minutes while editing.</p>'
+    return
+  }
+
+  const reasonLabels = { save: 'Saved', auto: 'Auto snapshot', restore: 'Before restore', import: 'Before import' }
+
+  historyList.innerHTML = revisions.map(revision => `
+    <div class="history-item flex items-center justify-between py-2 px-2 border-b last:border-b-0 ${revision.id === selectedRevisionId ? 'history-item-selected' : ''}" data-revision-id="${revision.id}">
+      <button class="flex-1 text-left cursor-pointer" data-action="diff">
+        <span class="block font-medium text-gray-800 text-sm">${formatDate(revision.createdAt)}</span>
+        <span class="block text-xs text-gray-500">${reasonLabels[revision.reason] || revision.reason} · ${revision.content.split('\n').length} lines</span>
+      </button>
+      <button
+        data-action="restore"
+        class="px-3 py-1 bg-white hover:bg-gray-100 text-[#1A4F63] text-sm rounded transition-colors border border-gray-300 cursor-pointer"
+      >
+        Restore
+      </button>
+    </div>
+  `).join('')
+}
+
+/**
+ * Show the line diff between a revision and the current editor content
+ * @param {number} revisionId - Revision ID
  */
-function saveFile(name, content) {
-  try {
-    const files = getAllFiles()
-    const now = new Date().toISOString()
+async function showRevisionDiff(revisionId) {
+  const activeDiagramTab = getActiveTab()
+  if (!activeDiagramTab) return
 
-    // Generate unique ID
-    const id = 'file-' + Date.now() + '-' + Math.random().toString(36).substring(2, 11)
+  const revision = (await getRevisions(activeDiagramTab.fileId)).find(r => r.id === revisionId)
+  if (!revision) return
 
-    const newFile = {
-      id: id,
-      name: name,
-      content: content,
-      createdAt: now,
-      lastModified: now
-    }
+  selectedRevisionId = revisionId
+  await renderHistoryList()
 
-    files.push(newFile)
-    saveAllFiles(files)
+  const diff = diffLines(revision.content, editor.getValue())
+  const changed = diff.some(line => line.type !== 'same')
 
-    return newFile
-  } catch (error) {
-    console.error('Error saving file:', error)
-    return null
+  if (!changed) {
+    historyDiff.innerHTML = '<p class="text-gray-500 text-center py-4">Identical to the current content</p>'
+    return
   }
+
+  const markers = { same: ' ', add: '+', del: '-' }
+  historyDiff.innerHTML = diff.map(line =>
+    `<div class="diff-line diff-${line.type}"><span class="diff-marker">${markers[line.type]}</span>${escapeHtml(line.text) || ' '}</div>`
+  ).join('')
 }
 
 /**
- * Delete a file by ID (cannot delete default file)
- * @param {string} fileId - ID of file to delete
- * @returns {boolean} True if deleted, false otherwise
+ * Load a revision into the editor
+ * The current content is snapshotted first, and the change stays undoable with Ctrl+Z.
+ * @param {number} revisionId - Revision ID
  */
-function deleteFile(fileId) {
-  if (fileId === 'default') {
-    alert('Cannot delete the default file.')
-    return false
-  }
+async function restoreRevision(revisionId) {
+  const activeDiagramTab = getActiveTab()
+  if (!activeDiagramTab) return
 
-  try {
-    const files = getAllFiles()
-    const filteredFiles = files.filter(f => f.id !== fileId)
+  const revision = (await getRevisions(activeDiagramTab.fileId)).find(r => r.id === revisionId)
+  if (!revision) return
 
-    if (filteredFiles.length === files.length) {
-      console.warn('File not found:', fileId)
-      return false
-    }
+  await recordRevision(activeDiagramTab.fileId, editor.getValue(), 'restore')
+  editor.setValue(revision.content, -1)
 
-    saveAllFiles(filteredFiles)
-    return true
-  } catch (error) {
-    console.error('Error deleting file:', error)
-    return false
-  }
+  closeHistoryPanel()
+  showNotification(`Restored revision from ${formatDate(revision.createdAt)}`, 'success')
+  editor.focus()
 }
 
-/**
- * Validate file name
- * @param {string} name - File name to validate
- * @param {Array} files - Existing files array
- * @returns {Object} Validation result {valid: boolean, error: string}
- */
-function validateFileName(name, _files = null) {
-  if (!name || name.trim() === '') {
-    return { valid: false, error: 'File name cannot be empty' }
-  }
-
-  if (name === 'default') {
-    return { valid: false, error: 'Reserved file name' }
-  }
+// ============================================================================
+// WORKSPACE IMPORT / EXPORT
+// ============================================================================
 
-  // Note: We no longer check if file already exists here
-  // handleSaveAs() handles existing files with a confirmation dialog
+const WORKSPACE_MANIFEST = 'manifest.json'
+const WORKSPACE_DIAGRAM_DIR = 'diagrams'
+const WORKSPACE_VERSION = 1
+const PLANTUML_EXTENSIONS = /\.(puml|plantuml|pu|iuml|wsd|txt)$/i
 
-  return { valid: true }
+/**
+ * Make a file or folder name safe for a zip entry path
+ * @param {string} name - Display name
+ * @returns {string} Safe path segment
+ */
+function toSafePathSegment(name) {
+  return name.replace(/[\\/:*?"<>|]+/g, '-').trim() || 'untitled'
 }
 
 /**
- * Format ISO date string for display
- * @param {string} isoString - ISO date string
- * @returns {string} Formatted date string
+ * Export every saved diagram as a zip: one .puml per file plus a manifest
  */
-function formatDate(isoString) {
+async function handleExportWorkspace() {
+  if (typeof JSZip === 'undefined') {
+    showNotification('Zip support failed to load. Please refresh the page.', 'error')
+    return
+  }
+
   try {
-    const date = new Date(isoString)
-    const months = ['Jan', 'Feb', 'Mar', 'Apr', 'May', 'Jun', 'Jul', 'Aug', 'Sep', 'Oct', 'Nov', 'Dec']
+    const [files, folders] = await Promise.all([getAllFiles(), getFolders()])
+    const zip = new JSZip()
+    const usedPaths = new Set()
+
+    const manifestFiles = files.map(file => {
+      const folder = normalizeFolderPath(file.folder)
+      const dir = [WORKSPACE_DIAGRAM_DIR, ...folder.split('/').filter(Boolean).map(toSafePathSegment)].join('/')
+      const baseName = toSafePathSegment(file.name)
+
+      // Two files may share a display name; keep both entries
+      let path = `${dir}/${baseName}.puml`
+      for (let n = 2; usedPaths.has(path); n++) {
+        path = `${dir}/${baseName} (${n}).puml`
+      }
+      usedPaths.add(path)
+
+      zip.file(path, file.content || '', { date: new Date(file.lastModified || Date.now()) })
+
+      return {
+        id: file.id,
+        name: file.name,
+        path: path,
+        folder: folder || undefined,
+        tags: file.tags,
+        style: file.style || undefined,
+        createdAt: file.createdAt,
+        lastModified: file.lastModified
+      }
+    })
 
-    const month = months[date.getMonth()]
-    const day = String(date.getDate()).padStart(2, '0')
-    const year = date.getFullYear()
-    const hours = String(date.getHours()).padStart(2, '0')
-    const minutes = String(date.getMinutes()).padStart(2, '0')
+    // Presets live in localStorage; ship the ones the diagrams use with them
+    const usedPresetIds = new Set(files.map(file => file.style && file.style.presetId).filter(Boolean))
 
-    return `${month} ${day}, ${year} ${hours}:${minutes}`
+    const activeDiagramTab = getActiveTab()
+    const manifest = {
+      version: WORKSPACE_VERSION,
+      exportedAt: new Date().toISOString(),
+      files: manifestFiles,
+      folders: folders,
+      presets: getSkinPresets().filter(preset => usedPresetIds.has(preset.id)),
+      tabs: tabs.map(tab => tab.fileId),
+      activeFileId: activeDiagramTab ? activeDiagramTab.fileId : null
+    }
+    zip.file(WORKSPACE_MANIFEST, JSON.stringify(manifest, null, 2))
+
+    const blob = await zip.generateAsync({ type: 'blob', compression: 'DEFLATE' })
+    const date = new Date().toISOString().substring(0, 10)
+    downloadBlob(blob, `plantuml-workspace-${date}.zip`)
+    showNotification(`Exported ${files.length} diagram(s)`, 'success')
   } catch (error) {
-    console.error('Error formatting date:', error)
-    return isoString
+    console.error('Workspace export error:', error)
+    showNotification('Failed to export workspace', 'error')
   }
 }
 
-// ============================================================================
-// FILE PANEL MODAL
-// ============================================================================
-
-const fileModal = document.getElementById('file-modal')
-const modalTitle = document.getElementById('modal-title')
-const saveInputContainer = document.getElementById('save-input-container')
-const fileNameInput = document.getElementById('file-name-input')
-const nameError = document.getElementById('name-error')
-const fileListContainer = document.getElementById('file-list')
 /**
- * Open file panel modal in specified mode
- * @param {string} mode - 'save' or 'open'
+ * Read diagrams out of the selected files (workspace zips and loose .puml files)
+ * @param {FileList|Array<File>} selectedFiles - Files from the file input
+ * @returns {Promise<Object>} { entries: [{ id, name, content, folder, tags, style, createdAt, lastModified }], tabs, activeFileId, folders, presets }
  */
-function openFilePanel(mode) {
+async function readImportFiles(selectedFiles) {
+  const result = { entries: [], tabs: [], activeFileId: null, folders: [], presets: [] }
 
-  // Show modal
-  fileModal.classList.remove('hidden')
+  for (const selected of Array.from(selectedFiles)) {
+    if (/\.zip$/i.test(selected.name)) {
+      if (typeof JSZip === 'undefined') {
+        throw new Error('Zip support failed to load')
+      }
 
-  // Clear previous state
-  nameError.classList.add('hidden')
-  fileNameInput.value = ''
-  fileNameInput.classList.remove('border-red-500')
+      const zip = await JSZip.loadAsync(selected)
+      const manifestEntry = zip.file(WORKSPACE_MANIFEST)
+      const manifest = manifestEntry ? JSON.parse(await manifestEntry.async('string')) : null
+      const described = new Set()
+
+      if (manifest && Array.isArray(manifest.files)) {
+        for (const meta of manifest.files) {
+          const entry = meta.path && zip.file(meta.path)
+          if (!entry) continue
+
+          described.add(meta.path)
+          result.entries.push({
+            id: meta.id,
+            name: meta.name,
+            content: await entry.async('string'),
+            folder: normalizeFolderPath(meta.folder),
+            tags: Array.isArray(meta.tags) ? meta.tags : undefined,
+            style: meta.style || null,
+            createdAt: meta.createdAt,
+            lastModified: meta.lastModified
+          })
+        }
+        result.tabs.push(...(manifest.tabs || []))
+        result.activeFileId = manifest.activeFileId || result.activeFileId
+        result.folders.push(...(manifest.folders || []))
+        result.presets.push(...(manifest.presets || []))
+      }
 
-  if (mode === 'save') {
-    modalTitle.textContent = 'Save As'
-    saveInputContainer.classList.remove('hidden')
-    fileNameInput.focus()
-  } else {
-    modalTitle.textContent = 'Open File'
-    saveInputContainer.classList.add('hidden')
-    // Focus the first file item or close button
-    const firstButton = fileListContainer.querySelector('button')
-    if (firstButton) {
-      firstButton.focus()
+      // Zips without a manifest (or extra files in one): folder from the entry path
+      const looseEntries = zip.file(PLANTUML_EXTENSIONS).filter(entry => !described.has(entry.name))
+      for (const entry of looseEntries) {
+        const segments = entry.name.split('/')
+        const fileName = segments.pop()
+        if (segments[0] === WORKSPACE_DIAGRAM_DIR) segments.shift()
+
+        result.entries.push({
+          name: fileName.replace(PLANTUML_EXTENSIONS, ''),
+          content: await entry.async('string'),
+          folder: normalizeFolderPath(segments.join('/')),
+          lastModified: entry.date ? entry.date.toISOString() : undefined
+        })
+      }
+    } else if (PLANTUML_EXTENSIONS.test(selected.name)) {
+      result.entries.push({
+        name: selected.name.replace(PLANTUML_EXTENSIONS, ''),
+        content: await selected.text(),
+        lastModified: new Date(selected.lastModified || Date.now()).toISOString()
+      })
     } else {
-      document.getElementById('close-modal').focus()
+      console.warn('Skipping unsupported import file:', selected.name)
     }
   }
 
-  renderFileList()
+  return result
 }
 
 /**
- * Close file panel modal
+ * Ask what to do with an imported diagram whose name already exists
+ * @param {string} name - Conflicting diagram name
+ * @returns {Promise<Object>} { action: 'overwrite'|'rename'|'skip', applyToAll: boolean }
  */
-function closeModal() {
-  fileModal.classList.add('hidden')
-  nameError.classList.add('hidden')
-  fileNameInput.value = ''
+function askImportConflict(name) {
+  return new Promise((resolve) => {
+    const conflictModal = document.createElement('div')
+    conflictModal.className = 'fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center'
+    conflictModal.style.zIndex = '1002' // Above the file modal
+
+    // Create modal content safely (avoid XSS by using textContent for dynamic content)
+    const modalContent = document.createElement('div')
+    modalContent.className = 'bg-white rounded-lg shadow-xl p-6 max-w-md w-full mx-4'
+
+    const title = document.createElement('h3')
+    title.className = 'text-lg font-semibold text-gray-900 mb-2'
+    title.textContent = 'Diagram Already Exists'
+
+    const message = document.createElement('p')
+    message.className = 'text-gray-600 mb-4'
+    message.textContent = `A diagram named '${name}' already exists.`
+
+    const applyLabel = document.createElement('label')
+    applyLabel.className = 'flex items-center gap-2 text-sm text-gray-600 mb-6'
+    const applyCheckbox = document.createElement('input')
+    applyCheckbox.type = 'checkbox'
+    applyLabel.appendChild(applyCheckbox)
+    applyLabel.appendChild(document.createTextNode('Apply to all remaining conflicts'))
+
+    const buttonContainer = document.createElement('div')
+    buttonContainer.className = 'flex justify-end gap-3'
+
+    const choices = [
+      { action: 'skip', label: 'Skip', className: 'bg-gray-200 text-gray-800 hover:bg-gray-300' },
+      { action: 'rename', label: 'Keep Both', className: 'bg-[#1A4F63] text-white hover:bg-[#143d4d]' },
+      { action: 'overwrite', label: 'Overwrite', className: 'bg-red-500 text-white hover:bg-red-600' }
+    ]
+
+    choices.forEach(choice => {
+      const button = document.createElement('button')
+      button.className = `px-4 py-2 rounded transition cursor-pointer ${choice.className}`
+      button.textContent = choice.label
+      button.addEventListener('click', () => {
+        document.body.removeChild(conflictModal)
+        resolve({ action: choice.action, applyToAll: applyCheckbox.checked })
+      })
+      buttonContainer.appendChild(button)
+    })
+
+    modalContent.appendChild(title)
+    modalContent.appendChild(message)
+    modalContent.appendChild(applyLabel)
+    modalContent.appendChild(buttonContainer)
+    conflictModal.appendChild(modalContent)
+    document.body.appendChild(conflictModal)
+
+    setTimeout(() => buttonContainer.lastChild.focus(), 100)
+  })
 }
 
 /**
- * Render file list in modal
+ * Make an imported diagram style usable here
+ * A preset this browser does not have is added from the workspace, or dropped
+ * if the workspace does not carry it.
+ * @param {Object|null} style - { theme, presetId } from the manifest
+ * @param {Array<Object>} presets - Presets shipped with the workspace
+ * @returns {Object|null} Style to store on the file
  */
-function renderFileList() {
-  const files = getAllFiles()
-
-  if (files.length === 0) {
-    fileListContainer.innerHTML = '<p class="text-gray-500 text-center py-4">No files saved yet</p>'
-    return
+function resolveImportedStyle(style, presets) {
+  if (!style) return null
+
+  const resolved = {}
+  if (style.theme) resolved.theme = style.theme
+  if (style.presetId) {
+    const localPresets = getSkinPresets()
+    const shipped = presets.find(p => p && p.id === style.presetId && typeof p.skinparams === 'string')
+    if (localPresets.some(p => p.id === style.presetId)) {
+      resolved.presetId = style.presetId
+    } else if (shipped) {
+      saveSkinPresets([...localPresets, { id: shipped.id, name: shipped.name || 'Imported preset', skinparams: shipped.skinparams }])
+      resolved.presetId = shipped.id
+    }
   }
-
-  fileListContainer.innerHTML = files.map(file => `
-    <div class="flex items-center justify-between py-3 border-b last:border-b-0">
-      <div class="flex-1">
-        <h3 class="font-medium text-gray-800">${escapeHtml(file.name)}</h3>
-        <p class="text-sm text-gray-500">
-          Created: ${formatDate(file.createdAt)} | Modified: ${formatDate(file.lastModified)}
-        </p>
-      </div>
-      <div class="flex gap-2">
-        ${file.id !== 'default' ? `
-          <button
-            onclick="handleDeleteFile('${file.id}')"
-            class="px-3 py-1 bg-white hover:bg-gray-100 text-[#1A4F63] text-sm rounded transition-colors border border-gray-300 cursor-pointer"
-          >
-            Delete
-          </button>
-        ` : ''}
-        <button
-          onclick="handleOpenFile('${file.id}')"
-          class="px-3 py-1 bg-white hover:bg-gray-100 text-[#1A4F63] text-sm rounded transition-colors border border-gray-300 cursor-pointer"
-        >
-          ${file.id === 'default' ? 'Reload' : 'Open'}
-        </button>
-      </div>
-    </div>
-  `).join('')
+  return Object.keys(resolved).length > 0 ? resolved : null
 }
 
 /**
- * Handle Save As action
+ * Import diagrams from workspace zips or loose .puml files
+ * @param {FileList|Array<File>} selectedFiles - Files from the file input
  */
-function handleSaveAs() {
-  const name = fileNameInput.value.trim()
-  const files = getAllFiles()
-
-  // Validate name
-  const validation = validateFileName(name, files)
-  if (!validation.valid) {
-    nameError.textContent = validation.error
-    nameError.classList.remove('hidden')
-    fileNameInput.classList.add('border-red-500')
+async function handleImportWorkspace(selectedFiles) {
+  let imported
+  try {
+    imported = await readImportFiles(selectedFiles)
+  } catch (error) {
+    console.error('Workspace import error:', error)
+    showNotification(`Failed to read import: ${error.message || 'Unknown error'}`, 'error')
     return
   }
 
-  // Clear error
-  nameError.classList.add('hidden')
-  fileNameInput.classList.remove('border-red-500')
-
-  // Check if file already exists
-  const existingFile = files.find(f => f.name === name)
-  if (existingFile) {
-    // Show overwrite confirmation
-    confirmOverwrite(name)
+  if (imported.entries.length === 0) {
+    showNotification('No PlantUML diagrams found to import', 'error')
     return
   }
 
-  // Get current content from editor
-  const content = editor.getValue()
+  const existingFiles = await getAllFiles()
+  const existingIds = new Set(existingFiles.map(f => f.id))
+  const existingNames = new Set(existingFiles.map(f => f.name))
+  const importedIds = new Map() // manifest id -> stored id, to reopen tabs
+  let rememberedAction = null
+  const counts = { added: 0, overwritten: 0, skipped: 0 }
 
-  // Save file
-  const newFile = saveFile(name, content)
-  if (newFile) {
-    console.log('File saved:', newFile.name)
+  for (const entry of imported.entries) {
+    const now = new Date().toISOString()
+    const existing = existingFiles.find(f => f.name === entry.name)
+    let action = 'add'
 
-    // Set as current diagram in this tab
-    currentDiagramName = name
+    if (existing) {
+      if (rememberedAction) {
+        action = rememberedAction
+      } else {
+        const answer = await askImportConflict(entry.name)
+        action = answer.action
+        if (answer.applyToAll) rememberedAction = answer.action
+      }
+    }
 
-    // Save editor state
-    const editorState = {
-      diagramName: name,
-      content: content,
-      timestamp: Date.now()
+    if (action === 'skip') {
+      counts.skipped++
+      continue
     }
-    localStorage.setItem(STORAGE_KEYS.EDITOR_STATE, JSON.stringify(editorState))
 
-    // Update tracking
-    lastSavedContent = content
-    updateWindowTitle(name)
+    // Loose .puml files carry no style; leave an overwritten file's own in place
+    const style = entry.style === undefined ? undefined : resolveImportedStyle(entry.style, imported.presets)
 
-    closeModal()
-  } else {
-    nameError.textContent = 'Failed to save file'
-    nameError.classList.remove('hidden')
+    if (action === 'overwrite') {
+      // Open tabs may hold newer content than storage; keep each version in history
+      const openTabs = tabs.filter(t => t.fileId === existing.id && t.session)
+      const previousVersions = new Set(openTabs.map(t => t.session.getValue()))
+      if (previousVersions.size === 0) previousVersions.add(existing.content)
+      for (const version of previousVersions) {
+        await recordRevision(existing.id, version, 'import')
+      }
+
+      existing.content = entry.content
+      existing.lastModified = now
+      if (style) {
+        existing.style = style
+      } else if (style === null) {
+        delete existing.style
+      }
+      if (await putFile(existing)) {
+        counts.overwritten++
+        if (entry.id) importedIds.set(entry.id, existing.id)
+        tabs.filter(t => t.fileId === existing.id).forEach((tab) => {
+          tab.style = existing.style || null
+          tab.lastRender = null
+        })
+        // Otherwise the next save of a background tab would write its old text back
+        openTabs.forEach(tab => takeTheirs(tab, entry.content))
+        renderTabs()
+        if (getActiveTab() && getActiveTab().fileId === existing.id) {
+          updateSkinLabel()
+          debouncedRender()
+        }
+      }
+      continue
+    }
+
+    // New file (or 'rename': keep both under a numbered name)
+    const baseName = entry.name || 'Imported diagram'
+    let name = baseName
+    for (let n = 2; existingNames.has(name) || name === 'default'; n++) {
+      name = `${baseName} (${n})`
+    }
+
+    const id = entry.id && !existingIds.has(entry.id) && entry.id !== 'default' ? entry.id : generateFileId()
+    const newFile = {
+      id: id,
+      name: name,
+      content: entry.content,
+      createdAt: entry.createdAt || now,
+      lastModified: entry.lastModified || now
+    }
+    if (entry.folder) newFile.folder = entry.folder
+    if (entry.tags && entry.tags.length > 0) newFile.tags = entry.tags
+    if (style) newFile.style = style
+
+    if (await putFile(newFile)) {
+      counts.added++
+      existingIds.add(id)
+      existingNames.add(name)
+      existingFiles.push(newFile)
+      if (entry.id) importedIds.set(entry.id, id)
+    }
+  }
+
+  if (imported.folders.length > 0) {
+    await saveFolders([...(await getFolders()), ...imported.folders])
+  }
+
+  // Reopen the exported tab set, in order, for files that were imported
+  let tabToActivate = null
+  for (const manifestId of imported.tabs) {
+    const fileId = importedIds.get(manifestId)
+    if (!fileId || tabs.some(t => t.fileId === fileId)) continue
+
+    const file = existingFiles.find(f => f.id === fileId)
+    const tabId = createTab(fileId, file.name)
+    if (!tabId) break
+    if (manifestId === imported.activeFileId || !tabToActivate) tabToActivate = tabId
   }
+  if (tabToActivate) {
+    await switchToTab(tabToActivate)
+  }
+
+  await renderFileList()
+  showNotification(
+    `Imported ${counts.added} new, ${counts.overwritten} overwritten, ${counts.skipped} skipped`,
+    'success'
+  )
 }
 
-/**
- * Show confirmation dialog for overwriting existing file
- * @param {string} diagramName - Name of the diagram to overwrite
- */
-function confirmOverwrite(diagramName) {
-  // Create confirmation modal
-  const confirmModal = document.createElement('div')
-  confirmModal.id = 'confirm-overwrite-modal'
-  confirmModal.className = 'fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center'
-  confirmModal.style.zIndex = '1002' // Higher than file modal (1000) and share modal (1001)
+// ============================================================================
+// DISK FILES (File System Access API with input/download fallbacks)
+// ============================================================================
 
-  // Create modal content safely (avoid XSS by using textContent for dynamic content)
-  const modalContent = document.createElement('div')
-  modalContent.className = 'bg-white rounded-lg shadow-xl p-6 max-w-md w-full mx-4'
+const supportsFileSystemAccess = typeof window.showOpenFilePicker === 'function' &&
+  typeof window.showSaveFilePicker === 'function'
 
-  const title = document.createElement('h3')
-  title.className = 'text-lg font-semibold text-gray-900 mb-2'
-  title.textContent = 'Overwrite File?'
+const DISK_PICKER_TYPES = [{
+  description: 'PlantUML diagrams',
+  accept: { 'text/plain': ['.puml', '.plantuml', '.pu', '.iuml', '.wsd', '.txt'] }
+}]
 
-  const message = document.createElement('p')
-  message.className = 'text-gray-600 mb-6'
-  message.textContent = `File '${diagramName}' already exists. Overwrite?`
+/**
+ * Write text to a file on disk, asking for write permission when needed
+ * @param {FileSystemFileHandle} handle - Target file
+ * @param {string} content - Text to write
+ */
+async function writeFileHandle(handle, content) {
+  const options = { mode: 'readwrite' }
+  if ((await handle.queryPermission(options)) !== 'granted' &&
+      (await handle.requestPermission(options)) !== 'granted') {
+    throw new Error('Permission to write the file was denied')
+  }
 
-  const buttonContainer = document.createElement('div')
-  buttonContainer.className = 'flex justify-end gap-3'
+  const writable = await handle.createWritable()
+  await writable.write(content)
+  await writable.close()
+}
 
-  const cancelBtn = document.createElement('button')
-  cancelBtn.className = 'px-4 py-2 bg-gray-200 text-gray-800 rounded hover:bg-gray-300 transition cursor-pointer'
-  cancelBtn.textContent = 'Cancel'
+/**
+ * Find the stored diagram linked to a disk file
+ * @param {FileSystemFileHandle} handle - Disk file handle
+ * @returns {Promise<Object|null>} Linked file or null
+ */
+async function findFileByHandle(handle) {
+  const files = await getAllFiles()
+  for (const file of files) {
+    if (file.fileHandle && await file.fileHandle.isSameEntry(handle)) {
+      return file
+    }
+  }
+  return null
+}
 
-  const confirmBtn = document.createElement('button')
-  confirmBtn.className = 'px-4 py-2 bg-red-500 text-white rounded hover:bg-red-600 transition cursor-pointer'
-  confirmBtn.textContent = 'Overwrite'
+/**
+ * Open a diagram read from disk in a new tab
+ * Files opened through the File System Access API stay linked to their handle,
+ * so Ctrl+S writes back in place.
+ * @param {File} diskFile - File read from disk
+ * @param {FileSystemFileHandle|null} handle - Handle, when the API is available
+ */
+async function loadDiskFile(diskFile, handle) {
+  const content = await diskFile.text()
+  const name = diskFile.name.replace(PLANTUML_EXTENSIONS, '') || diskFile.name
+  let file = handle ? await findFileByHandle(handle) : null
 
-  buttonContainer.appendChild(cancelBtn)
-  buttonContainer.appendChild(confirmBtn)
+  if (file) {
+    // Already open: just bring the tab forward
+    const openTab = tabs.find(t => t.fileId === file.id)
+    if (openTab) {
+      await switchToTab(openTab.id)
+      closeModal()
+      showNotification(`'${diskFile.name}' is already open`, 'success')
+      return
+    }
+
+    // Refresh the stored copy from disk, keeping the old content in history
+    if (file.content !== content) {
+      await recordRevision(file.id, file.content, 'import')
+      file.content = content
+      file.lastModified = new Date().toISOString()
+      await putFile(file)
+    }
+  } else {
+    file = await saveFile(name, content)
+    if (!file) {
+      showNotification(`Failed to open '${diskFile.name}'`, 'error')
+      return
+    }
+    if (handle) {
+      file.fileHandle = handle
+      await putFile(file)
+    }
+  }
 
-  modalContent.appendChild(title)
-  modalContent.appendChild(message)
-  modalContent.appendChild(buttonContainer)
+  await handleOpenFile(file.id)
+}
 
-  confirmModal.appendChild(modalContent)
-  document.body.appendChild(confirmModal)
+/**
+ * Open a diagram from disk
+ */
+async function handleOpenFromDisk() {
+  if (!supportsFileSystemAccess) {
+    diskOpenInput.click()
+    return
+  }
 
-  // Add event listeners
-  cancelBtn.addEventListener('click', () => {
-    document.body.removeChild(confirmModal)
-    // Return to Save As input field
-    fileNameInput.focus()
-  })
+  try {
+    const [handle] = await window.showOpenFilePicker({ types: DISK_PICKER_TYPES, multiple: false })
+    await loadDiskFile(await handle.getFile(), handle)
+  } catch (error) {
+    if (error.name === 'AbortError') return // Picker dismissed
+    console.error('Open from disk error:', error)
+    showNotification(`Failed to open file: ${error.message}`, 'error')
+  }
+}
 
-  confirmBtn.addEventListener('click', () => {
-    const content = editor.getValue()
-    const files = getAllFiles()
-    const fileIndex = files.findIndex(f => f.name === diagramName)
+/**
+ * Save the current diagram to a file on disk and link the tab to it
+ * Falls back to a download when the File System Access API is unavailable.
+ */
+async function handleSaveToDisk() {
+  const content = editor.getValue()
+  const fileName = getExportFileName('puml')
 
-    if (fileIndex >= 0) {
-      // Update existing file
-      files[fileIndex].content = content
-      files[fileIndex].lastModified = new Date().toISOString()
-      saveAllFiles(files)
+  if (!supportsFileSystemAccess) {
+    downloadBlob(new Blob([content], { type: 'text/plain;charset=utf-8' }), fileName)
+    closeModal()
+    return
+  }
 
-      // Set as current diagram in this tab
-      currentDiagramName = diagramName
+  try {
+    const handle = await window.showSaveFilePicker({ suggestedName: fileName, types: DISK_PICKER_TYPES })
+    await writeFileHandle(handle, content)
 
-      // Save editor state
-      const editorState = {
-        diagramName: diagramName,
-        content: content,
-        timestamp: Date.now()
+    const activeDiagramTab = getActiveTab()
+    if (activeDiagramTab) {
+      activeDiagramTab.fileHandle = handle
+      const file = await getFile(activeDiagramTab.fileId)
+      if (file) {
+        file.fileHandle = handle
+        file.content = content
+        file.lastModified = new Date().toISOString()
+        await putFile(file)
       }
-      localStorage.setItem(STORAGE_KEYS.EDITOR_STATE, JSON.stringify(editorState))
+      markSaved(content)
+      renderTabs()
+    }
 
-      // Update tracking
-      lastSavedContent = content
-      updateWindowTitle(diagramName)
+    closeModal()
+    showNotification(`Saved to '${handle.name}'`, 'success')
+  } catch (error) {
+    if (error.name === 'AbortError') return // Picker dismissed
+    console.error('Save to disk error:', error)
+    showNotification(`Failed to save file: ${error.message}`, 'error')
+  }
+}
 
-      // Show success notification
-      showNotification(`Saved to '${diagramName}'`, 'success')
+// ============================================================================
+// CROSS-WINDOW SYNC
+// ============================================================================
 
-      // Remove confirmation modal
-      document.body.removeChild(confirmModal)
+const openConflicts = new Map() // fileId -> { theirs } while a conflict prompt is showing
 
-      // Close the Save As modal
-      closeModal()
+/**
+ * Bring open tabs up to date after another window wrote a file
+ * Clean tabs take the new content; tabs with their own unsaved edits get a conflict prompt.
+ * @param {string} fileId - File written by the other window
+ */
+async function handleRemoteFileSaved(fileId) {
+  const file = await getFile(fileId)
+  const fileTabs = tabs.filter(t => t.fileId === fileId)
+  if (!file || fileTabs.length === 0) return
+
+  for (const tab of fileTabs) {
+    tab.name = file.name
+    tab.fileHandle = file.fileHandle || tab.fileHandle
+    if (JSON.stringify(tab.style || null) !== JSON.stringify(file.style || null)) {
+      tab.style = file.style || null
+      tab.lastRender = null
+      if (tab.id === activeTabId) {
+        updateSkinLabel()
+        debouncedRender()
+      }
     }
-  })
 
-  // Handle Enter key to confirm
-  confirmBtn.addEventListener('keydown', (e) => {
-    if (e.key === 'Enter') {
-      e.preventDefault()
-      e.stopPropagation()
-      confirmBtn.click()
+    // Not activated yet: it will load the stored content when it is
+    if (!tab.session) continue
+
+    const mine = tab.session.getValue()
+    if (mine === file.content) {
+      setTabSavedContent(tab, file.content)
+    } else if (!tab.isUnsaved) {
+      takeTheirs(tab, file.content)
+    } else if (openConflicts.has(fileId)) {
+      // A prompt is already up; it resolves against the newest content
+      openConflicts.get(fileId).theirs = file.content
+    } else {
+      openConflicts.set(fileId, { theirs: file.content })
+      const choice = await askRemoteConflict(tab)
+      const { theirs } = openConflicts.get(fileId)
+      openConflicts.delete(fileId)
+
+      if (choice === 'theirs') {
+        takeTheirs(tab, theirs)
+      } else {
+        setTabSavedContent(tab, theirs)
+        // Auto-save would only overwrite theirs later anyway; do it now
+        if (currentSaveMode === 'auto' && !tab.fileHandle) {
+          await updateFileContent(fileId, tab.session.getValue())
+          setTabSavedContent(tab, tab.session.getValue())
+        }
+      }
     }
-  })
+  }
 
-  // Focus on the confirm button after a small delay to ensure modal is rendered
-  // and to prevent the previous Enter key event from triggering it
-  setTimeout(() => {
-    confirmBtn.focus()
-  }, 100)
+  renderTabs()
+  if (!fileModal.classList.contains('hidden')) {
+    await renderFileList()
+  }
 }
 
 /**
- * Handle Open File action
- * @param {string} fileId - ID of file to open
+ * Record what is now stored for a tab and refresh its dirty state
+ * @param {Object} tab - Tab object
+ * @param {string} content - Stored content
  */
-function handleOpenFile(fileId) {
-  const files = getAllFiles()
-  const file = files.find(f => f.id === fileId)
-
-  if (!file) {
-    console.warn('File not found:', fileId)
-    return
+function setTabSavedContent(tab, content) {
+  if (tab.id === activeTabId) {
+    markSaved(content)
+  } else {
+    tab.savedContent = content
+    tab.isUnsaved = tab.session.getValue() !== content
   }
+}
 
-  // Create a new tab for this file
-  const tabId = createTab(fileId, file.name)
+/**
+ * Replace a tab's content with the other window's version
+ * Goes through the document so Ctrl+Z can bring the local version back.
+ * @param {Object} tab - Tab object
+ * @param {string} content - Other window's content
+ */
+function takeTheirs(tab, content) {
+  tab.session.getDocument().setValue(content)
+  setTabSavedContent(tab, content)
+}
 
-  if (!tabId) {
-    // Tab limit reached or other error
-    return
-  }
+/**
+ * Ask how to resolve edits made here and in another window to the same diagram
+ * @param {Object} tab - Tab with local unsaved edits
+ * @returns {Promise<string>} 'mine' or 'theirs'
+ */
+function askRemoteConflict(tab) {
+  return new Promise((resolve) => {
+    const conflictModal = document.createElement('div')
+    conflictModal.className = 'fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center'
+    conflictModal.style.zIndex = '1002' // Above the file and share modals
+
+    // Create modal content safely (avoid XSS by using textContent for dynamic content)
+    const modalContent = document.createElement('div')
+    modalContent.className = 'bg-white rounded-lg shadow-xl p-6 max-w-2xl w-full mx-4'
+
+    const title = document.createElement('h3')
+    title.className = 'text-lg font-semibold text-gray-900 mb-2'
+    title.textContent = 'Diagram Changed in Another Window'
+
+    const message = document.createElement('p')
+    message.className = 'text-gray-600 mb-4'
+    message.textContent = `'${tab.name}' was saved in another window while you had unsaved changes here.`
+
+    const diffView = document.createElement('div')
+    diffView.className = 'hidden mb-4 max-h-80 overflow-auto border rounded font-mono text-xs'
+
+    const buttonContainer = document.createElement('div')
+    buttonContainer.className = 'flex justify-end gap-3'
+
+    const diffBtn = document.createElement('button')
+    diffBtn.className = 'px-4 py-2 bg-gray-200 text-gray-800 rounded hover:bg-gray-300 transition cursor-pointer mr-auto'
+    diffBtn.textContent = 'View Diff'
+
+    const theirsBtn = document.createElement('button')
+    theirsBtn.className = 'px-4 py-2 bg-gray-200 text-gray-800 rounded hover:bg-gray-300 transition cursor-pointer'
+    theirsBtn.textContent = 'Take Theirs'
+
+    const mineBtn = document.createElement('button')
+    mineBtn.className = 'px-4 py-2 bg-[#1A4F63] text-white rounded hover:bg-[#143d4d] transition cursor-pointer'
+    mineBtn.textContent = 'Keep Mine'
+
+    buttonContainer.appendChild(diffBtn)
+    buttonContainer.appendChild(theirsBtn)
+    buttonContainer.appendChild(mineBtn)
+
+    modalContent.appendChild(title)
+    modalContent.appendChild(message)
+    modalContent.appendChild(diffView)
+    modalContent.appendChild(buttonContainer)
+    conflictModal.appendChild(modalContent)
+    document.body.appendChild(conflictModal)
+
+    diffBtn.addEventListener('click', () => {
+      // Theirs may have moved on while the prompt was open
+      const { theirs } = openConflicts.get(tab.fileId)
+      const diff = diffLines(theirs, tab.session.getValue())
+      const markers = { same: ' ', add: '+', del: '-' }
+
+      diffView.innerHTML = '<p class="px-2 py-1 text-gray-500 border-b">- theirs &nbsp; + mine</p>' + diff.map(line =>
+        `<div class="diff-line diff-${line.type}"><span class="diff-marker">${markers[line.type]}</span>${escapeHtml(line.text) || ' '}</div>`
+      ).join('')
+      diffView.classList.remove('hidden')
+    })
 
-  // Switch to the new tab
-  switchToTab(tabId)
+    const choose = (choice) => {
+      document.body.removeChild(conflictModal)
+      resolve(choice)
+    }
+    theirsBtn.addEventListener('click', () => choose('theirs'))
+    mineBtn.addEventListener('click', () => choose('mine'))
 
-  // Close the modal
-  closeModal()
-  debouncedRender()
+    setTimeout(() => mineBtn.focus(), 100)
+  })
 }
 
 /**
- * Handle Delete File action
- * @param {string} fileId - ID of file to delete
+ * Let open tabs know their file was deleted in another window
+ * @param {string} fileId - Deleted file ID
  */
-function handleDeleteFile(fileId) {
-  if (confirm('Are you sure you want to delete this file?')) {
-    const success = deleteFile(fileId)
-    if (success) {
-      renderFileList()
-    }
+async function handleRemoteFileDeleted(fileId) {
+  const fileTabs = tabs.filter(t => t.fileId === fileId)
+  if (fileTabs.length > 0) {
+    showNotification(`'${fileTabs[0].name}' was deleted in another window. Use Save As to keep it.`, 'error')
+  }
+
+  if (!fileModal.classList.contains('hidden')) {
+    await renderFileList()
   }
 }
 
-/**
- * Escape HTML to prevent XSS
- * @param {string} text - Text to escape
- * @returns {string} Escaped text
- */
-function escapeHtml(text) {
-  const div = document.createElement('div')
-  div.textContent = text
-  return div.innerHTML
+if (fileSyncChannel) {
+  fileSyncChannel.addEventListener('message', (e) => {
+    const { type, fileId } = e.data || {}
+
+    if (type === 'file-saved') {
+      handleRemoteFileSaved(fileId)
+    } else if (type === 'file-deleted') {
+      handleRemoteFileDeleted(fileId)
+    }
+  })
 }
 
 // Event Listeners for Modal
@@ -1756,6 +6155,10 @@ document.getElementById('btn-theme').addEventListener('click', () => {
 // Renderer toggle event listener
 document.getElementById('btn-renderer').addEventListener('click', toggleRenderer)
 
+// Output format toggle event listener
+document.getElementById('btn-format').addEventListener('click', toggleFormat)
+document.getElementById('btn-save-mode').addEventListener('click', toggleSaveMode)
+
 // AI Panel event listeners (only if backend is configured)
 if (isBackendConfigured()) {
   // AI Panel toggle event listener
@@ -1849,10 +6252,107 @@ if (isBackendConfigured()) {
 // Share button event listener
 document.getElementById('btn-share').addEventListener('click', handleShare)
 
+// Export menu event listeners
+document.getElementById('btn-export').addEventListener('click', (e) => {
+  e.stopPropagation()
+  toggleExportMenu()
+})
+
+document.getElementById('export-menu').addEventListener('click', (e) => {
+  const item = e.target.closest('[data-export-format]')
+  if (item) {
+    handleExport(item.getAttribute('data-export-format'))
+  }
+})
+
+document.getElementById('export-pages-items').addEventListener('click', (e) => {
+  const item = e.target.closest('[data-export-pages]')
+  if (item) {
+    handleExportAllPages(item.getAttribute('data-export-pages'))
+  }
+})
+
+document.getElementById('export-light-toggle').addEventListener('change', (e) => {
+  setExportAlwaysLight(e.target.checked)
+})
+
+// Theme picker event listeners
+document.getElementById('btn-skin').addEventListener('click', (e) => {
+  e.stopPropagation()
+  toggleSkinMenu()
+})
+
+document.getElementById('skin-menu').addEventListener('click', (e) => {
+  const target = e.target.closest('button')
+  if (!target) return
+
+  if (target.hasAttribute('data-skin-theme')) {
+    setActiveDiagramStyle({ theme: target.getAttribute('data-skin-theme') || null })
+  } else if (target.hasAttribute('data-skin-insert-theme')) {
+    insertThemeIntoSource(target.getAttribute('data-skin-insert-theme'))
+  } else if (target.hasAttribute('data-skin-preset')) {
+    const presetId = target.getAttribute('data-skin-preset')
+    const activeDiagramTab = getActiveTab()
+    const isApplied = activeDiagramTab && activeDiagramTab.style && activeDiagramTab.style.presetId === presetId
+    setActiveDiagramStyle({ presetId: isApplied ? null : presetId })
+  } else if (target.hasAttribute('data-skin-insert-preset')) {
+    insertPresetIntoSource(target.getAttribute('data-skin-insert-preset'))
+  } else if (target.hasAttribute('data-skin-delete-preset')) {
+    handleDeletePreset(target.getAttribute('data-skin-delete-preset'))
+  } else if (target.id === 'btn-save-preset') {
+    handleSavePreset()
+  }
+})
+
+// Outline panel event listeners
+document.getElementById('outline-panel-toggle').addEventListener('click', toggleOutlinePanel)
+
+document.getElementById('outline-filter').addEventListener('input', (e) => {
+  outlineFilter = e.target.value
+  updateOutline()
+})
+
+document.getElementById('outline-list').addEventListener('click', (e) => {
+  const item = e.target.closest('[data-outline-row]')
+  if (item) {
+    jumpToOutlineEntry(parseInt(item.getAttribute('data-outline-row'), 10), parseInt(item.getAttribute('data-outline-column'), 10))
+  }
+})
+
+// Click outside to dismiss theme picker
+document.addEventListener('click', (e) => {
+  if (!e.target.closest('#skin-menu-container')) {
+    closeSkinMenu()
+  }
+})
+
+// Click outside to dismiss export menu
+document.addEventListener('click', (e) => {
+  if (!e.target.closest('#export-menu-container')) {
+    closeExportMenu()
+  }
+})
+
 // Share modal close buttons
 document.getElementById('close-share-modal').addEventListener('click', closeShareModal)
 document.getElementById('close-share-modal-x').addEventListener('click', closeShareModal)
 
+document.getElementById('btn-open-in-editor').addEventListener('click', openViewerInEditor)
+
+// Copy buttons for the share link and embed snippets
+document.getElementById('share-modal').addEventListener('click', async (e) => {
+  const button = e.target.closest('[data-share-copy]')
+  if (!button) return
+
+  const input = document.getElementById(button.getAttribute('data-share-copy'))
+  if (await copyToClipboard(input.value)) {
+    showNotification('Copied to clipboard', 'success')
+  } else {
+    input.select()
+    showNotification('Failed to copy to clipboard. Please copy manually.', 'error')
+  }
+})
+
 // Click outside to dismiss share modal
 document.getElementById('share-modal').addEventListener('click', (e) => {
   if (e.target.id === 'share-modal') {
@@ -1864,6 +6364,152 @@ document.getElementById('share-modal').addEventListener('click', (e) => {
 document.getElementById('close-modal').addEventListener('click', closeModal)
 document.getElementById('close-modal-x').addEventListener('click', closeModal)
 
+// Folder and tag controls in the file list
+document.getElementById('btn-new-folder').addEventListener('click', handleNewFolder)
+
+// Disk open/save
+const diskOpenInput = document.getElementById('disk-open-input')
+
+openDiskButton.addEventListener('click', handleOpenFromDisk)
+saveDiskButton.addEventListener('click', handleSaveToDisk)
+
+diskOpenInput.addEventListener('change', async () => {
+  if (diskOpenInput.files.length > 0) {
+    await loadDiskFile(diskOpenInput.files[0], null)
+  }
+  diskOpenInput.value = ''
+})
+
+// Workspace import/export
+const workspaceImportInput = document.getElementById('workspace-import-input')
+
+document.getElementById('btn-export-workspace').addEventListener('click', handleExportWorkspace)
+document.getElementById('btn-import-workspace').addEventListener('click', () => workspaceImportInput.click())
+
+workspaceImportInput.addEventListener('change', async () => {
+  if (workspaceImportInput.files.length > 0) {
+    await handleImportWorkspace(workspaceImportInput.files)
+  }
+  // Allow importing the same file again
+  workspaceImportInput.value = ''
+})
+
+// Full-text search across saved diagrams
+fileSearchInput.addEventListener('input', debounce(() => renderFileList(), 150))
+
+fileSearchInput.addEventListener('keydown', (e) => {
+  // Enter opens the first result
+  if (e.key === 'Enter') {
+    e.preventDefault()
+    const firstResult = fileListContainer.querySelector('[data-search-line]') || fileListContainer.querySelector('[data-search-file-id]')
+    if (firstResult) firstResult.click()
+  }
+})
+
+document.getElementById('file-tag-filter').addEventListener('click', (e) => {
+  const chip = e.target.closest('[data-tag-filter]')
+  if (!chip) return
+
+  const tag = chip.getAttribute('data-tag-filter')
+  activeTagFilter = activeTagFilter === tag ? null : tag
+  renderFileList()
+})
+
+fileListContainer.addEventListener('click', (e) => {
+  const searchResult = e.target.closest('[data-search-file-id]')
+  if (searchResult) {
+    const line = Number(searchResult.getAttribute('data-search-line')) || null
+    handleOpenFile(searchResult.getAttribute('data-search-file-id'), line)
+    return
+  }
+
+  const folderAction = e.target.closest('[data-folder-action]')
+  const fileAction = e.target.closest('[data-file-action]')
+
+  if (fileAction) {
+    const fileItem = fileAction.closest('[data-file-id]')
+    if (fileItem) {
+      handleEditTags(fileItem.getAttribute('data-file-id'))
+    }
+    return
+  }
+
+  if (folderAction) {
+    const path = folderAction.closest('[data-folder-path]').getAttribute('data-folder-path')
+
+    if (folderAction.getAttribute('data-folder-action') === 'rename') {
+      handleRenameFolder(path)
+    } else if (collapsedFolders.has(path)) {
+      collapsedFolders.delete(path)
+      renderFileList()
+    } else {
+      collapsedFolders.add(path)
+      renderFileList()
+    }
+  }
+})
+
+// Drag files onto folders to move them
+fileListContainer.addEventListener('dragstart', (e) => {
+  const fileItem = e.target.closest('[data-file-id]')
+  if (fileItem) {
+    e.dataTransfer.setData('text/plain', fileItem.getAttribute('data-file-id'))
+    e.dataTransfer.effectAllowed = 'move'
+  }
+})
+
+fileListContainer.addEventListener('dragover', (e) => {
+  const dropTarget = e.target.closest('[data-drop-folder]')
+  if (dropTarget) {
+    e.preventDefault()
+    e.dataTransfer.dropEffect = 'move'
+    dropTarget.classList.add('folder-drop-target')
+  }
+})
+
+fileListContainer.addEventListener('dragleave', (e) => {
+  const dropTarget = e.target.closest('[data-drop-folder]')
+  if (dropTarget) {
+    dropTarget.classList.remove('folder-drop-target')
+  }
+})
+
+fileListContainer.addEventListener('drop', (e) => {
+  const dropTarget = e.target.closest('[data-drop-folder]')
+  if (!dropTarget) return
+
+  e.preventDefault()
+  dropTarget.classList.remove('folder-drop-target')
+
+  const fileId = e.dataTransfer.getData('text/plain')
+  if (fileId) {
+    moveFileToFolder(fileId, dropTarget.getAttribute('data-drop-folder'))
+  }
+})
+
+// History panel event listeners
+document.getElementById('btn-history').addEventListener('click', openHistoryPanel)
+document.getElementById('close-history-modal').addEventListener('click', closeHistoryPanel)
+document.getElementById('close-history-modal-x').addEventListener('click', closeHistoryPanel)
+
+historyModal.addEventListener('click', (e) => {
+  if (e.target.id === 'history-modal') {
+    closeHistoryPanel()
+    return
+  }
+
+  const item = e.target.closest('[data-revision-id]')
+  const action = e.target.closest('[data-action]')
+  if (!item || !action) return
+
+  const revisionId = Number(item.getAttribute('data-revision-id'))
+  if (action.getAttribute('data-action') === 'restore') {
+    restoreRevision(revisionId)
+  } else {
+    showRevisionDiff(revisionId)
+  }
+})
+
 // Handle Enter key in file name input
 fileNameInput.addEventListener('keydown', (e) => {
   if (e.key === 'Enter') {
@@ -1884,6 +6530,16 @@ window.handleOpenFile = handleOpenFile
 // ============================================================================
 
 document.addEventListener('keydown', (e) => {
+  // Alt+PageUp / Alt+PageDown - Previous / next diagram page (also in the viewer)
+  if (e.altKey && !e.ctrlKey && !e.metaKey && (e.key === 'PageUp' || e.key === 'PageDown')) {
+    e.preventDefault()
+    stepPage(e.key === 'PageUp' ? -1 : 1)
+    return
+  }
+
+  // The viewer has no editor commands
+  if (isViewMode) return
+
   // Ctrl+Shift+S - Save As (check before other combinations)
   if ((e.ctrlKey || e.metaKey) && e.shiftKey && !e.altKey && (e.key === 'S' || e.key === 's' || e.code === 'KeyS')) {
     e.preventDefault()
@@ -1899,6 +6555,13 @@ document.addEventListener('keydown', (e) => {
     return
   }
 
+  // Ctrl+Shift+O - Open from disk (or Cmd+Shift+O on Mac)
+  if ((e.ctrlKey || e.metaKey) && e.shiftKey && !e.altKey && (e.key === 'O' || e.key === 'o' || e.code === 'KeyO')) {
+    e.preventDefault()
+    handleOpenFromDisk()
+    return
+  }
+
   // Ctrl+O - Open File
   if (e.ctrlKey && e.key === 'o') {
     e.preventDefault()
@@ -1911,6 +6574,20 @@ document.addEventListener('keydown', (e) => {
     handleNew()
   }
 
+  // Ctrl+Tab / Ctrl+Shift+Tab - Next / previous tab (where the browser lets the page see it)
+  if (e.ctrlKey && !e.altKey && e.key === 'Tab') {
+    e.preventDefault()
+    cycleTab(e.shiftKey ? -1 : 1)
+    return
+  }
+
+  // Alt+Shift+[ / Alt+Shift+] - Previous / next tab (by key position, since Option changes e.key on Mac)
+  if (e.altKey && e.shiftKey && !e.ctrlKey && (e.code === 'BracketLeft' || e.code === 'BracketRight')) {
+    e.preventDefault()
+    cycleTab(e.code === 'BracketLeft' ? -1 : 1)
+    return
+  }
+
   // Ctrl+W - Close current tab
   if (e.ctrlKey && !e.altKey && !e.shiftKey && e.key === 'w') {
     e.preventDefault()
@@ -1928,11 +6605,30 @@ document.addEventListener('keydown', (e) => {
     return
   }
 
+  // Ctrl+Shift+H - Version history (or Cmd+Shift+H on Mac)
+  if ((e.ctrlKey || e.metaKey) && e.shiftKey && !e.altKey && (e.key === 'H' || e.key === 'h' || e.code === 'KeyH')) {
+    e.preventDefault()
+    openHistoryPanel()
+    return
+  }
+
+  // Ctrl+Shift+E - Export menu (or Cmd+Shift+E on Mac)
+  if ((e.ctrlKey || e.metaKey) && e.shiftKey && !e.altKey && (e.key === 'E' || e.key === 'e' || e.code === 'KeyE')) {
+    e.preventDefault()
+    toggleExportMenu()
+    return
+  }
+
   // Escape - Close modals (independent check for each modal)
   if (e.key === 'Escape') {
+    closeExportMenu()
+    closeSkinMenu()
+    closeTabContextMenu()
+
     const shareModal = document.getElementById('share-modal')
     const generateModal = document.getElementById('generate-loading-modal')
     const fileModalOpen = !fileModal.classList.contains('hidden')
+    const historyModalOpen = !historyModal.classList.contains('hidden')
     const shareModalOpen = !shareModal.classList.contains('hidden')
     const generateModalOpen = generateModal && !generateModal.classList.contains('hidden')
 
@@ -1948,6 +6644,12 @@ document.addEventListener('keydown', (e) => {
       closeShareModal()
     }
 
+    if (historyModalOpen) {
+      e.preventDefault()
+      e.stopPropagation()
+      closeHistoryPanel()
+    }
+
     if (generateModalOpen) {
       e.preventDefault()
       e.stopPropagation()
@@ -1969,6 +6671,18 @@ document.addEventListener('keydown', (e) => {
     toggleRenderer()
   }
 
+  // Alt+O - Toggle Output Format
+  if (e.altKey && (e.key === 'o' || e.key === 'O')) {
+    e.preventDefault()
+    toggleFormat()
+  }
+
+  // Alt+S - Toggle Auto-save
+  if (e.altKey && !e.ctrlKey && (e.key === 's' || e.key === 'S')) {
+    e.preventDefault()
+    toggleSaveMode()
+  }
+
   // Ctrl+G - Focus AI prompt textarea
   if (e.ctrlKey && !e.altKey && !e.shiftKey && (e.key === 'g' || e.key === 'G')) {
     e.preventDefault()